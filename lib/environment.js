@@ -10,6 +10,7 @@
 
 var FluxMeta = require('./flux-meta');
 var helpers = require('./helpers');
+var errors = require('./errors');
 
 var slice = Array.prototype.slice;
 
@@ -40,6 +41,9 @@ function Environment(env, log) {
 	// Bind member methods so that they can be passed as callbacks
 	this.$throw = ep.$throw.bind(this);
 	this.$catch = ep.$catch.bind(this);
+	this.$cancel = ep.$cancel.bind(this);
+	this.$break = ep.$break.bind(this);
+	this.$continue = ep.$continue.bind(this);
 }
 
 // Shorthand for accessing the environment prototype
@@ -80,7 +84,7 @@ ep.$throw = function(err) {
 	}
 	else {
 		// Update the call graph with changes to context and function calls before moving on
-		this._fm.$push_call('env.$throw');
+		this._fm.$push_call('env.$throw', 'throw');
 
 		// Call the handler, finally
 		h.apply(null, [this].concat(slice.call(arguments)));
@@ -102,9 +106,9 @@ ep.$catch = function() {
 	}
 	else {
 		// Update the call graph so that we can tell the exception was caught, as well
-		this._fm.$push_call('env.$catch');
+		this._fm.$push_call('env.$catch', 'catch');
 		if (!helpers.hide_function(helpers.fname(after)))
-			this._fm.$push_call(helpers.fname(after));
+			this._fm.$push_call(helpers.fname(after), 'after');
 		after.apply(null);
 	}
 }
@@ -140,6 +144,99 @@ ep.$check = function(after) {
 	}).bind(this);
 }
 
+/**
+ * Leaves the innermost LoopChain that is running in this environment, from anywhere inside of its
+ * body, including nested chains, which are unwound (running their finally handlers) on the way out.
+ * Any arguments are passed on to the loop's after(). Bound to the environment, like $throw.
+ */
+ep.$break = function() {
+	loop_signal(this, 'break', slice.call(arguments));
+}
+
+/**
+ * Skips the rest of the current pass through the innermost LoopChain's body, unwinding any nested
+ * chains in the same way as $break, and goes on to the next condition check. Any arguments are
+ * passed on to the condition function.
+ */
+ep.$continue = function() {
+	loop_signal(this, 'continue', slice.call(arguments));
+}
+
+/**
+ * Turns strict stack mode on or off for this environment, overriding the global default set with
+ * fl.set_strict(). In strict mode, a step that needs more arguments than are available throws a
+ * StackError instead of receiving fewer, and so does a chain that exits while leaving values on the
+ * stack that it pushed but nothing used.
+ * @param strict True to turn strict mode on, false to turn it off, or null to use the default
+ */
+ep.$set_strict = function(strict) {
+	this._fm.strict = strict;
+}
+
+/**
+ * Turns thread tracing on or off for this environment, overriding the global default set with
+ * fl.set_thread_tracing(). With it on, the call graph of every parallel thread started from this
+ * environment is kept, so that the threads can be included in $export_trace() and $get_trace_tree().
+ * @param trace True to turn thread tracing on, false to turn it off, or null to use the default
+ */
+ep.$set_thread_tracing = function(trace) {
+	this._fm.trace_threads = trace;
+}
+
+/**
+ * Cancels the execution that uses this environment. This is cooperative: anything that is already
+ * running is allowed to finish (and may watch env.$signal to stop early), but no further steps will
+ * be started. Instead, a CancelledError is thrown in place of the next step, which unwinds through
+ * the exception handlers as usual. Bound to the environment so that it can be passed as a callback.
+ * @param reason Optional reason for the cancellation, saved on the error and the signal
+ */
+ep.$cancel = function(reason) {
+	if (this._fm.cancelled !== null)
+		return;
+
+	this._fm.cancelled = new errors.CancelledError(reason);
+	if (this._fm.controller !== null)
+		this._fm.controller.abort(this._fm.cancelled);
+}
+
+/**
+ * Checks if the execution using this environment has been cancelled
+ * @return CancelledError The error to throw if it was cancelled, or null if not
+ */
+ep.$cancelled = function() {
+	return this._fm.cancelled;
+}
+
+/**
+ * An AbortSignal (or a minimal lookalike, if AbortController is not available) that is aborted when
+ * this environment is cancelled, which can be given to APIs that accept one, such as fetch(). It is
+ * only created the first time that it is used.
+ */
+Object.defineProperty(ep, '$signal', {
+	get : function() {
+		if (this._fm.controller === null) {
+			this._fm.controller = make_controller();
+			if (this._fm.cancelled !== null)
+				this._fm.controller.abort(this._fm.cancelled);
+		}
+		return this._fm.controller.signal;
+	}
+});
+
+/**
+ * The number of the current pass through the body of the innermost LoopChain, counting from zero.
+ * In the condition function, it is the number of the pass that will run if the condition is true,
+ * which is the same as the number of passes that have finished. Undefined outside of loops.
+ */
+Object.defineProperty(ep, '$iteration', {
+	get : function() {
+		var loops = this._fm.loops;
+		if (loops.length == 0)
+			return undefined;
+		return loops[loops.length - 1].iteration;
+	}
+});
+
 /**
  * Retrieve a complete trace of the execution that used this environment variable
  * @return Array Trace information, where each element is a pair of function name and call depth
@@ -148,6 +245,38 @@ ep.$get_exec_trace = function() {
 	return this._fm.$get_exec_trace();
 },
 
+/**
+ * Retrieve timing information for every call made in the execution that used this environment
+ * @see FluxMeta.$get_profile()
+ * @return Array of objects with the name, chain, depth, start, total, and self time of each call
+ */
+ep.$get_profile = function() {
+	return this._fm.$get_profile();
+}
+
+/**
+ * Exports the complete trace of the execution that used this environment, including any parallel
+ * threads that it started, with the time taken by each call, in a format that other tools can load
+ * @param format The format to export, currently only 'chrome', for the Trace Event Format that is
+ *               used by chrome://tracing and Perfetto
+ * @param options Optional object with pid, the process id to put in the trace (default process.pid)
+ * @return String JSON trace
+ */
+ep.$export_trace = function(format, options) {
+	options = options || {};
+
+	if (format != 'chrome')
+		throw new Error('Unknown trace format: '+format);
+
+	var pid = options.pid !== undefined ? options.pid : process.pid;
+	var label = this._thread_id !== undefined ? 'thread '+this._thread_id : 'main';
+
+	return JSON.stringify({
+		traceEvents : this._fm.$get_trace_events(pid, label),
+		displayTimeUnit : 'ms'
+	});
+}
+
 /**
  * Retrieve a backtrace that provides a more abridged view of how execution got to where it is now
  * @return Array Trace information, where each element is a pair of function name and call depth
@@ -156,6 +285,24 @@ ep.$get_back_trace = function() {
 	return this._fm.$get_back_trace();
 }
 
+/**
+ * Retrieve the complete trace of the execution that used this environment as a tree, with the
+ * kind of each call, the chain it ran, its thread, and when it started and ended
+ * @see FluxMeta.$get_trace_tree()
+ * @return Object Root node of the trace tree
+ */
+ep.$get_trace_tree = function() {
+	return this._fm.$get_trace_tree();
+}
+
+/**
+ * Proxy for formatting a trace tree with the details of each call via the meta object
+ * @see FluxMeta.$format_trace_tree()
+ */
+ep.$format_trace_tree = function(tree) {
+	return this._fm.$format_trace_tree(tree);
+}
+
 /**
  * Proxy for formatting a trace as a call graph via the meta object
  * @see FluxMeta.$format_call_tree()
@@ -191,13 +338,60 @@ ep.createScoped = function() {
  */
 function LocalEnvironment(env, id) {
 	Environment.call(this, {}, env._fm.$log);
+	this._fm.strict = env._fm.strict;
+	this._fm.trace_threads = env._fm.trace_threads;
+	env._fm.$add_thread(id, this._fm);
 	this._env = env;
 	this._thread_id = id;
+	this._signal_listener = null;
 }
 LocalEnvironment.prototype = new Environment();
 LocalEnvironment.prototype.constructor = LocalEnvironment;
 var lep = LocalEnvironment.prototype;
 
+/**
+ * A thread is cancelled if either it was cancelled itself, which stops only this thread, or if the
+ * environment it belongs to was cancelled
+ * @return CancelledError The error to throw if it was cancelled, or null if not
+ */
+lep.$cancelled = function() {
+	return this._fm.cancelled || this._env.$cancelled();
+}
+
+/**
+ * The thread's signal is aborted along with the parent environment's signal, too, for as long as
+ * the thread is running
+ */
+Object.defineProperty(lep, '$signal', {
+	get : function() {
+		if (this._fm.controller === null)
+			this._signal_listener = follow_signal(this._fm, this._env.$signal);
+		return this._fm.controller.signal;
+	}
+});
+
+/**
+ * Stops following the parent environment's signal, which is done once the thread has finished, so
+ * that the parent's signal doesn't keep a listener (and this environment) around for every thread
+ */
+lep.$detach = function() {
+	if (this._signal_listener !== null) {
+		this._env.$signal.removeEventListener('abort', this._signal_listener);
+		this._signal_listener = null;
+	}
+}
+
+/**
+ * A thread that is not running a loop of its own sees the iteration of the loop it was started in
+ */
+Object.defineProperty(lep, '$iteration', {
+	get : function() {
+		if (this._fm.loops.length == 0)
+			return this._env.$iteration;
+		return this._fm.loops[this._fm.loops.length - 1].iteration;
+	}
+});
+
 /**
  * Redefine the back trace to stack this trace with the inner environment's trace
  * @return Array Trace information, where each element is a pair of function name and call depth
@@ -208,6 +402,25 @@ lep.$get_exec_trace = function() {
 	return inner.concat(mine);
 }
 
+/**
+ * Redefine the profile to stack this thread's calls with the inner environment's calls, like the traces
+ * @return Array of objects with the name, chain, depth, start, total, and self time of each call
+ */
+lep.$get_profile = function() {
+	var inner = this._env.$get_profile();
+	var mine = this._fm.$get_profile();
+	return inner.concat(mine);
+}
+
+/**
+ * Redefine the trace tree to be the inner environment's tree, which includes this thread's calls
+ * under the parallel chain that started it
+ * @return Object Root node of the trace tree
+ */
+lep.$get_trace_tree = function() {
+	return this._env.$get_trace_tree();
+}
+
 /**
  * Redefine the back trace to stack this trace with the inner environment's trace
  * @return Array Trace information, where each element is a pair of function name and call depth
@@ -218,6 +431,90 @@ lep.$get_back_trace = function() {
 	return inner.concat(mine);
 }
 
+/**
+ * Passes a loop signal down the exception stack, where the handlers for the chains nested inside of
+ * the loop let it through until it reaches the loop itself
+ * @param env The environment that the loop is running in
+ * @param type Either 'break' or 'continue'
+ * @param args Arguments to forward to the loop
+ */
+function loop_signal(env, type, args) {
+	if (env._fm.loops.length == 0) {
+		env.$throw(new Error('env.$'+type+'() called outside of a LoopChain'));
+		return;
+	}
+
+	var h = env._fm.$pop_exception_handler();
+	env._fm.$push_call('env.$'+type, type);
+	h.apply(null, [env, new errors.LoopSignal(type)].concat(args));
+}
+
+/**
+ * Creates the controller for an environment whose signal is also aborted along with another signal,
+ * such as the one belonging to the environment that a thread was started from
+ * @param fm The metadata of the environment that needs a controller
+ * @param parent The signal to follow
+ * @return Function The listener added to the parent signal, to remove later, or null if none was needed
+ */
+function follow_signal(fm, parent) {
+	var listener = null;
+
+	fm.controller = make_controller();
+	if (fm.cancelled !== null)
+		fm.controller.abort(fm.cancelled);
+	else if (parent.aborted)
+		fm.controller.abort(parent.reason);
+	else {
+		listener = function() {
+			fm.controller.abort(parent.reason);
+		};
+		parent.addEventListener('abort', listener, {once : true});
+	}
+	return listener;
+}
+
+/**
+ * Creates an AbortController, or if this version of node doesn't have one, a minimal replacement
+ * that provides the parts of the AbortSignal interface that are commonly used
+ * @return Object with a signal and an abort() method
+ */
+function make_controller() {
+	if (typeof AbortController == 'function')
+		return new AbortController();
+
+	var listeners = [];
+	var signal = {
+		aborted : false,
+		reason : undefined,
+		onabort : null,
+		addEventListener : function(type, fn) {
+			if (type == 'abort')
+				listeners.push(fn);
+		},
+		removeEventListener : function(type, fn) {
+			var idx = listeners.indexOf(fn);
+			if (type == 'abort' && idx >= 0)
+				listeners.splice(idx, 1);
+		}
+	};
+
+	return {
+		signal : signal,
+		abort : function(reason) {
+			if (signal.aborted)
+				return;
+			signal.aborted = true;
+			signal.reason = reason;
+			if (signal.onabort)
+				signal.onabort({type : 'abort', target : signal});
+			listeners.forEach(function(fn) {
+				fn({type : 'abort', target : signal});
+			});
+		}
+	};
+}
+
 // Replace the exports object with the new class, because it is all we want to share
 module.exports.Environment = Environment;
 module.exports.LocalEnvironment = LocalEnvironment;
+module.exports.follow_signal = follow_signal;
@@ -0,0 +1,121 @@
+/**
+ * Error classes that are produced by the library itself, rather than by user code, so that
+ * they can be identified by exception handlers with instanceof
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use granted under the terms of the MIT License. See LICENSE for details.
+ */
+
+var util = require('util');
+
+/**
+ * Thrown when a step or a chain does not call after() before its deadline passes
+ * @param message Description of what timed out
+ * @param timeout The deadline that was exceeded, in milliseconds
+ */
+function TimeoutError(message, timeout) {
+	Error.call(this);
+	Error.captureStackTrace(this, TimeoutError);
+	this.name = 'TimeoutError';
+	this.message = message;
+	this.timeout = timeout;
+}
+util.inherits(TimeoutError, Error);
+
+/**
+ * Thrown into an execution after it has been cancelled with env.$cancel(), when it reaches the
+ * next step that it would have run
+ * @param reason The reason given to env.$cancel(), if any
+ */
+function CancelledError(reason) {
+	Error.call(this);
+	Error.captureStackTrace(this, CancelledError);
+	this.name = 'CancelledError';
+	this.message = 'Execution cancelled' + (reason !== undefined ? ': ' + reason : '');
+	this.reason = reason;
+}
+util.inherits(CancelledError, Error);
+
+/**
+ * Thrown by a parallel chain when more than one of its threads may have failed, to report all of
+ * the errors together, rather than only one of them. Where the global AggregateError exists, this
+ * is a subclass of it, so that code checking for either one sees these errors.
+ * @param errors Array of the errors, indexed by the thread id that produced each one
+ * @param message Description of the failure
+ */
+function AggregateError(errors, message) {
+	Error.call(this);
+	Error.captureStackTrace(this, AggregateError);
+	this.name = 'AggregateError';
+	this.message = message;
+	this.errors = errors;
+}
+util.inherits(AggregateError, typeof global.AggregateError == 'function' ? global.AggregateError : Error);
+
+/**
+ * Thrown by a loop chain that has been given a limit on the number of iterations when it is about to
+ * run its body more times than that, which usually means that its condition is wrong
+ * @param message Description of the loop that ran too long
+ * @param limit The maximum number of iterations that was exceeded
+ */
+function IterationLimitError(message, limit) {
+	Error.call(this);
+	Error.captureStackTrace(this, IterationLimitError);
+	this.name = 'IterationLimitError';
+	this.message = message;
+	this.limit = limit;
+}
+util.inherits(IterationLimitError, Error);
+
+/**
+ * Thrown in strict stack mode when a step needs more arguments than are available on the stack,
+ * or when a chain exits and leaves values on the stack that nothing used
+ * @param message Description of the problem
+ * @param step The name of the step or chain responsible
+ * @param values Array of the values that were left on the stack, if any
+ */
+function StackError(message, step, values) {
+	Error.call(this);
+	Error.captureStackTrace(this, StackError);
+	this.name = 'StackError';
+	this.message = message;
+	this.step = step;
+	this.values = values || [];
+}
+util.inherits(StackError, Error);
+
+/**
+ * Thrown when a step calls after() a second time, which would otherwise run the rest of the chain
+ * twice. The usual err.backtrace shows where the second call happened, and err.first_backtrace
+ * shows the first one.
+ * @param message Description of the step that called after() twice
+ * @param step The name of the step
+ * @param first_backtrace Formatted back trace for the first call
+ */
+function DoubleCallError(message, step, first_backtrace) {
+	Error.call(this);
+	Error.captureStackTrace(this, DoubleCallError);
+	this.name = 'DoubleCallError';
+	this.message = message;
+	this.step = step;
+	this.first_backtrace = first_backtrace;
+}
+util.inherits(DoubleCallError, Error);
+
+/**
+ * Not really an error, but it travels the same way: env.$break() and env.$continue() pass this down
+ * the exception stack so that any chains nested in a loop's body unwind until it reaches the loop
+ * @param type Either 'break' or 'continue'
+ */
+function LoopSignal(type) {
+	this.name = 'LoopSignal';
+	this.type = type;
+}
+
+module.exports.TimeoutError = TimeoutError;
+module.exports.CancelledError = CancelledError;
+module.exports.AggregateError = AggregateError;
+module.exports.IterationLimitError = IterationLimitError;
+module.exports.StackError = StackError;
+module.exports.DoubleCallError = DoubleCallError;
+module.exports.LoopSignal = LoopSignal;
@@ -15,6 +15,8 @@ var util = require('util');
 var cm = require('./chain-manager');
 var env = require('./environment');
 var helpers = require('./helpers');
+var errors = require('./errors');
+var FluxMeta = require('./flux-meta');
 var Environment = env.Environment;
 var LocalEnvironment = env.LocalEnvironment;
 
@@ -26,21 +28,165 @@ var nextTick = process.nextTick;
 
 /**
  * Makes a function specification that is useful to pass to the Chain constructor by saving
- * how many arguments are retrieved from the stack to invoke the function.
+ * how many arguments are retrieved from the stack to invoke the function. Instead of the positional
+ * arguments, an options object may be given as the second argument, which accepts the keys params,
+ * name, and ctx with the same meaning, plus:
+ *   timeout: milliseconds the function has to call after() before a TimeoutError is thrown
+ *   min: same as params, the number of arguments that are always passed to the function
+ *   max: number of arguments the function accepts at most, where the ones beyond min are optional
+ *   rest: if true, the function accepts any number of arguments beyond min
+ *   results: number of arguments the function passes to after(), used by validate()
+ *   inputs: array of environment keys whose values are passed to the function before its
+ *           other arguments
+ *   outputs: array of environment keys that the function's first results are saved to, instead
+ *            of passing them forward
  * @param fn Function object to call
- * @param params Integer count of parameters
+ * @param params Integer count of parameters, or an options object
  * @param name Name to give the function in call/back traces (defaults to fn.name if omitted)
  * @param ctx (Javscript) context in which to call the function, null if not necessary
  */
 function mkfn(fn, params, name, ctx) {
+	var opts = {};
+	if (params !== null && typeof params == 'object') {
+		opts = params;
+		params = opts.min !== undefined ? opts.min : opts.params;
+		name = opts.name;
+		ctx = opts.ctx;
+	}
+	params = params || 0;
+
 	return {
 		fn : fn,
 		ctx : ctx || null,
-		params : params || 0,
+		params : params,
+		max : opts.rest ? Infinity : Math.max(opts.max || 0, params),
+		rest : opts.rest || false,
 		name : name || null,
+		timeout : opts.timeout || 0,
+		results : opts.results !== undefined ? opts.results : null,
+		inputs : opts.inputs || null,
+		outputs : opts.outputs || null
 	};
 }
 
+/**
+ * Turns strict stack mode on or off for every environment that hasn't chosen for itself with
+ * env.$set_strict(). In strict mode, a function that needs more arguments than are available throws
+ * a StackError, and so does a chain that exits while leaving unused values on the stack.
+ * @param strict True to turn strict mode on by default, false to turn it off
+ */
+function set_strict(strict) {
+	FluxMeta.strict = strict;
+}
+
+/**
+ * Turns thread tracing on or off for every environment that hasn't chosen for itself with
+ * env.$set_thread_tracing(). With it on, parallel threads are kept so that they can be included in
+ * exported traces and trace trees, at the cost of keeping their call graphs in memory.
+ * @param trace True to turn thread tracing on by default, false to turn it off
+ */
+function set_thread_tracing(trace) {
+	FluxMeta.trace_threads = trace;
+}
+
+// Settings for the stall detector, along with the steps that it is watching, by id
+var stalls = {timeout : 0, report : null, timer : null, next_id : 0, steps : {}};
+
+/**
+ * Starts watching for stalled executions, or stops if ms is 0. While this is on, every step that is
+ * started is watched until it calls after() or its chain is unwound, and an environment is reported
+ * once its most recent step has been running for longer than ms. Each stall is only reported once.
+ * By default, reports are logged with the environment's log function, along with its back trace.
+ * @param ms Milliseconds a step may run before its environment is considered stalled, 0 to stop
+ * @param report Optional function(env, elapsed) to call for each stalled environment instead
+ */
+function detect_stalls(ms, report) {
+	stalls.timeout = ms;
+	stalls.report = report || report_stall;
+
+	if (stalls.timer !== null) {
+		clearInterval(stalls.timer);
+		stalls.timer = null;
+	}
+
+	if (ms > 0) {
+		// Don't keep the process alive just to look for stalls
+		stalls.timer = setInterval(check_stalls, Math.ceil(ms / 2));
+		if (stalls.timer.unref)
+			stalls.timer.unref();
+	}
+	else {
+		stalls.steps = {};
+	}
+}
+
+/**
+ * The default stall report, which logs the environment's back trace
+ * @param env The stalled environment
+ * @param elapsed Milliseconds since its most recent step was started
+ */
+function report_stall(env, elapsed) {
+	env._fm.$log('Stalled execution -- no step has continued for '+elapsed+' ms');
+	env._fm.$log('Backtrace: ' + env.$format_stack_trace(env.$get_back_trace()));
+}
+
+/**
+ * Starts watching a step for the stall detector
+ * @param env The environment the step is running in
+ * @param is_live Function that returns false once the step can no longer continue
+ * @return Id to pass to unwatch_step() when the step continues
+ */
+function watch_step(env, is_live) {
+	var id = stalls.next_id++;
+	stalls.steps[id] = {env : env, is_live : is_live, started : Date.now(), reported : false};
+	return id;
+}
+
+/**
+ * Stops watching a step, because it has continued
+ * @param id The id from watch_step(), or null if the step wasn't being watched
+ */
+function unwatch_step(id) {
+	if (id !== null)
+		delete stalls.steps[id];
+}
+
+/**
+ * Looks for environments whose most recent step has been running for too long, and reports them
+ */
+function check_stalls() {
+	var now = Date.now();
+	var envs = [];
+	var latest = [];
+
+	Object.keys(stalls.steps).forEach(function(id) {
+		var step = stalls.steps[id];
+		var idx;
+
+		// Steps that were unwound by an exception or timed out will never continue
+		if (!step.is_live()) {
+			delete stalls.steps[id];
+			return;
+		}
+
+		idx = envs.indexOf(step.env);
+		if (idx < 0) {
+			envs.push(step.env);
+			latest.push(step);
+		}
+		else if (step.started >= latest[idx].started) {
+			latest[idx] = step;
+		}
+	});
+
+	latest.forEach(function(step) {
+		if (!step.reported && now - step.started >= stalls.timeout) {
+			step.reported = true;
+			stalls.report(step.env, now - step.started);
+		}
+	});
+}
+
 /**
  * Abstract base class which provides the useful member functions that are commonly used throughout
  * the rest of the library, but without some of the baggage of assuming everything is actually a
@@ -50,6 +196,8 @@ function ChainBase() {
 	this.bind_after_env = false;
 	this.exception = null;
 	this.local_env = false;
+	this.timeout = 0;
+	this.finally_handler = null;
 }
 var cbp = ChainBase.prototype;
 
@@ -70,6 +218,16 @@ cbp.wrap = function(fn) {
 	return fn;
 }
 
+/**
+ * Checks that every step in this chain can get the arguments that it needs, without running it
+ * @see fl.validate()
+ * @param args Optional number of arguments the chain will be called with (default 0)
+ * @return Array of problems found, each an object with the path to the step and a message
+ */
+cbp.validate = function(args) {
+	return module.exports.validate(this, args);
+}
+
 /**
  * Sets a function to act as an exception handler for this Chain. If env.$throw() is invoked, this
  * handler will be called first, then any after() specified during apply(), and finally, it will
@@ -81,6 +239,18 @@ cbp.set_exception_handler = function(fn) {
 	return this;
 }
 
+/**
+ * Sets a function (or chain) to run whenever this chain exits, no matter which way it exits: after
+ * the last function calls after(), after the exception handler calls env.$catch(), or before an
+ * exception is passed on to the next handler on the exception stack. It is called with env and an
+ * after, which it must call to let control continue on its way out of the chain.
+ * @param fn The finally handler, pass null to remove it
+ */
+cbp.set_finally_handler = function(fn) {
+	this.finally_handler = fn ? this.wrap(fn) : null;
+	return this;
+}
+
 /**
  * If set to true, this will bind the after handler with env as its first argument, otherwise it
  * is assumed that the after handler already has a reference to env
@@ -101,26 +271,153 @@ cbp.use_local_env = function(local) {
 	return this;
 }
 
+/**
+ * Sets a deadline for this chain: if it has not called after() within the given time from being
+ * entered, a TimeoutError is thrown from wherever execution currently is, so that handlers in
+ * nested chains see it first. Anything still running inside the chain at that point will have its
+ * late calls to after() ignored
+ * @param ms Timeout in milliseconds, 0 to disable
+ */
+cbp.set_timeout = function(ms) {
+	this.timeout = ms;
+	return this;
+}
+
+/**
+ * Does the bookkeeping that every chain type needs when it is entered: the exception handler
+ * wrapper is pushed, the deadline (if any) is started, and the given after is wrapped with the
+ * glue that tears all of this down again on the way out.
+ * @param env The environment the chain is running in
+ * @param after The after callback given to apply()
+ * @param state Optional object to hold the per-execution state, for subclasses that need to see it
+ * @return The after glue that should be called when the chain completes normally
+ */
+cbp.enter = function(env, after, state) {
+	var that = this;
+	state = state || {};
+	state.frame = null;
+	state.timer = null;
+	state.timed_out = false;
+	state.rethrow_frame = false;
+	state.stack_depth = env._fm.stack.length;
+
+	state.handler = this.exception_handler.bind(this, state);
+	state.except_after = this.make_after_glue(env, after, true, state);
+	env._fm.$push_exception_handler(state.handler, state.except_after);
+	state.frame = env._fm.$get_exception_frame();
+
+	if (this.timeout > 0) {
+		state.timer = setTimeout(function() {
+			state.timer = null;
+			var err;
+			if (env._fm.$has_exception_frame(state.frame)) {
+				// Chains nested inside of this one pass the error along until it reaches our frame
+				err = new errors.TimeoutError(that.name+' did not finish within '+that.timeout+' ms', that.timeout);
+				Object.defineProperty(err, 'frame', {value : state.frame, writable : true});
+				state.timed_out = true;
+				env.$throw(err);
+			}
+		}, this.timeout);
+	}
+
+	return this.make_after_glue(env, after, false, state);
+}
+
+/**
+ * Stops the deadline for one execution of this chain, if there is one, because it has exited
+ * @param state The state object created by enter()
+ */
+cbp.clear_timeout = function(state) {
+	if (state.timer !== null) {
+		clearTimeout(state.timer);
+		state.timer = null;
+	}
+}
+
+/**
+ * Checks if an error is only passing through a chain on its way to another handler, which is true
+ * for loop signals and for the deadline of a chain further out, so that a handler inside of the
+ * chain that timed out cannot catch its timeout
+ * @param state The state object created by enter() for the chain that received the error
+ * @param err The error that was thrown
+ * @return bool True if the chain's exception handler should not see the error
+ */
+function passes_through(state, err) {
+	if (err instanceof errors.LoopSignal)
+		return true;
+	return err instanceof errors.TimeoutError && err.frame !== undefined && err.frame !== state.frame;
+}
+
 /**
  * The exception handling wrapper that is pushed to the stack. Previously this was defined inside
  * apply(), but it doesn't need to be a closure, so it is better to define it externally and pass
  * it in. This function ensures that context information unwinds properly in the event of exceptions
  * being thrown, and it will also invoke handlers if they were defined.
+ * @param state The state object created by enter(), bound in when the handler is pushed
  * @param env The environment variable
  * @param varargs will be forwarded to the inner exception handler
  */
-cbp.exception_handler = function(env) {
+cbp.exception_handler = function(state, env) {
 	// This already includes env, so don't re-include it when forwarding arguments
-	var params = slice.call(arguments);
+	var params = slice.call(arguments, 1);
+
+	var that = this;
+
+	this.clear_timeout(state);
 
-	if (this.exception) {
-		env._fm.$push_call(helpers.fname(this.exception));
+	// Our own timeout has arrived, so it is an ordinary error from here on
+	if (params[1] instanceof errors.TimeoutError && params[1].frame === state.frame)
+		params[1].frame = undefined;
+
+	// Loop signals and other chains' timeouts are not for us, so they skip the handler
+	if (this.exception && !passes_through(state, params[1])) {
+		env._fm.$push_call(helpers.fname(this.exception), 'handler');
 		env._fm.$pop_ctx();
+
+		// Intercept a re-throw from the handler so that the finally handler runs first. If the handler
+		// catches the exception instead, the after glue removes this again.
+		if (this.finally_handler) {
+			env._fm.$push_exception_handler(function __finally_rethrow(env) {
+				var params = slice.call(arguments, 1);
+				that.run_finally(env, function __finally_after() {
+					env.$throw.apply(null, params);
+				});
+			}, helpers.noop);
+			state.rethrow_frame = true;
+		}
+
 		this.exception.apply(null, params);
 	}
 	else {
 		env._fm.$pop_ctx();
-		env.$throw.apply(null, params.slice(1));
+		this.run_finally(env, function __finally_after() {
+			env.$throw.apply(null, params.slice(1));
+		});
+	}
+}
+
+/**
+ * Runs the finally handler, if there is one, and then continues with the given callback
+ * @param env The environment the chain is running in
+ * @param next Callback to continue with once the finally handler has called after()
+ */
+cbp.run_finally = function(env, next) {
+	var fin = this.finally_handler;
+
+	if (!fin) {
+		next();
+		return;
+	}
+
+	env._fm.$push_call(helpers.fname(fin, fin.fn.name), 'finally');
+	try {
+		// Cleanup must still happen when the environment has been cancelled
+		this.invoke(env, fin, [env, function __finally_after() {
+			next();
+		}], true);
+	}
+	catch (e) {
+		env.$throw(e);
 	}
 }
 	
@@ -130,53 +427,260 @@ cbp.exception_handler = function(env) {
  * @param env The environment to use for after
  * @param after The after paramer that is to be wrapped appropriately
  * @param except True if this is the after glue for an exception, false if it is for normal progress
+ * @param state The state object created by enter()
  * @return New after method with state updates
  */
-cbp.make_after_glue = function(env, after, except) {
+cbp.make_after_glue = function(env, after, except, state) {
 	var that = this;
 	var after_name = helpers.fname(after, '(lambda function)');
 
 	return function __after_glue() {
 		var params = slice.call(arguments);
+		var leaked;
+
+		// In strict mode, anything this chain left on the stack is a mistake, so it is thrown from
+		// inside of the chain, where its own handler gets the first chance to deal with it
+		if (!except && env._fm.$is_strict() && env._fm.stack.length > state.stack_depth) {
+			leaked = env._fm.stack.splice(state.stack_depth);
+			env.$throw(new errors.StackError(that.name+' left '+leaked.length+' unused value(s) on the stack', that.name, leaked));
+			return;
+		}
 
 		if (that.bind_after_env)
 			params.unshift(env);
 
+		that.clear_timeout(state);
+
 		if (!helpers.hide_function(after_name))
-			env._fm.$push_call(after_name);
+			env._fm.$push_call(after_name, 'after');
 
-		// Do not remove the exception handler if it was used, as env.$throw will handle that for us
-		if (!except)
+		// Do not remove the exception handler or context if it was used, as env.$throw and the exception
+		// handler wrapper will handle that for us, but there may be a handler left over from catching
+		// re-throws to run the finally handler
+		if (!except) {
+			env._fm.$pop_exception_handler();
+			env._fm.$pop_ctx();
+		}
+		else if (state.rethrow_frame) {
+			state.rethrow_frame = false;
 			env._fm.$pop_exception_handler();
+		}
 
-		env._fm.$pop_ctx();
-		after.apply(null, params);
+		that.run_finally(env, function __finally_after() {
+			after.apply(null, params);
+		});
 	};
 }
 
 /**
  * Helper function that is used to process the arguments and produce an array of proper arguments
- * to be passed to fn.apply()
+ * to be passed to fn.apply(). Required arguments that weren't given are taken from the stack, but
+ * optional ones are only passed if they were given. If the function has named inputs, their values
+ * are read from the environment and placed in front of the positional arguments. In strict mode,
+ * a StackError is thrown if the stack doesn't have enough values to make up the difference.
  * @param env The environment object where the stack might be used
  * @param info Function information (result of mkfn, normally)
  * @param args The arguments array passed to the outer function
  * @return Array arguments that should be passed to the actual function being called
  */
 cbp.handle_args = function(env, info, args) {
+	var max = info.max !== undefined ? info.max : info.params;
 	var missing = info.params - args.length;
+	var extra = args.length - max;
+	var name;
 
 	// Get missing args from the stack
-	if (missing == 0)
-		return args;
-	else if (missing > 0)
-		return env._fm.stack.splice(-missing, missing).concat(args);
-	else {
+	if (missing > 0) {
+		if (env._fm.stack.length < missing && env._fm.$is_strict()) {
+			name = helpers.fname(info, info.fn.name);
+			throw new errors.StackError(name+' needs '+info.params+' argument(s), but only '+
+				(args.length + env._fm.stack.length)+' were available', name);
+		}
+
+		args = env._fm.stack.splice(-missing, missing).concat(args);
+	}
+	else if (extra > 0) {
 		// Push extra args to the stack, so for instance if passed arg1, arg2, and arg3,
 		// but we only consume arg1, the stack will have [arg2, arg3] pushed to it and made
 		// available to the next function if it needs additional arguments
-		env._fm.stack = env._fm.stack.concat(args.splice(missing, -missing));
-		return args;
+		env._fm.stack = env._fm.stack.concat(args.splice(max, extra));
+	}
+
+	if (info.inputs) {
+		return info.inputs.map(function(key) {
+			return env[key];
+		}).concat(args);
 	}
+	return args;
+}
+
+/**
+ * Saves the results of a function with named outputs to the environment. Each output key takes
+ * one result, in order, and any results beyond those are returned so they can be passed forward
+ * @param env The environment to save the results to
+ * @param info Function information (result of mkfn, normally)
+ * @param results Array of arguments that the function passed to after()
+ * @return Array of the remaining results
+ */
+cbp.handle_outputs = function(env, info, results) {
+	info.outputs.forEach(function(key, idx) {
+		env[key] = results[idx];
+	});
+	return results.slice(info.outputs.length);
+}
+
+/**
+ * Invokes a single step (function or chain) with a list of parameters that already includes env
+ * and after. Instead of calling after(), a step may also return a thenable, in which case its
+ * resolved value is passed forward to after() and a rejection is thrown through env.$throw().
+ * If the step calls after() before the thenable settles, the thenable is ignored, except that a
+ * rejection is logged, since nothing else would report it. If it calls after() once the thenable
+ * has settled, that call is ignored instead, since the chain has already moved on without its
+ * arguments.
+ *
+ * If the step was given a timeout through mkfn(), a TimeoutError is thrown if it doesn't finish in
+ * time. Calls to after() that arrive once the step has timed out, or once the chain running it has
+ * been unwound by an exception, are ignored. If the environment was cancelled, the step is not run
+ * at all, and its CancelledError is thrown instead, unless force is set. If the step calls after()
+ * a second time, a DoubleCallError is thrown instead of running the rest of the chain again.
+ * @param env The environment that the step is running in
+ * @param info Function information (result of mkfn, normally)
+ * @param params Array of arguments to call the step with, starting with env and after
+ * @param force Optional, if true the step is run even if the environment has been cancelled
+ */
+cbp.invoke = function(env, info, params, force) {
+	var cancelled = force ? null : env.$cancelled();
+	var after = params[1];
+	var frame = env._fm.$get_exception_frame();
+	var called = false;
+	var settled = false;
+	var expired = false;
+	var timer = null;
+	var first_call = null;
+	var watch_id = null;
+	var result;
+
+	function stop_timer() {
+		if (timer !== null) {
+			clearTimeout(timer);
+			timer = null;
+		}
+	}
+
+	function is_live() {
+		return !expired && (frame === undefined || env._fm.$has_exception_frame(frame));
+	}
+
+	function __step_after() {
+		var name;
+
+		// A returned promise already continued the chain, so this call is too late to count
+		if (settled)
+			return;
+
+		// Running the rest of the chain again is never what was intended, so this is an error
+		if (first_call !== null) {
+			name = helpers.fname(info, info.fn.name);
+			env.$throw(new errors.DoubleCallError(name+' called after() more than once', name,
+				env._fm.$format_stack_trace(env._fm.$get_back_trace(first_call))));
+			return;
+		}
+
+		first_call = env._fm.$mark();
+		called = true;
+		stop_timer();
+		unwatch_step(watch_id);
+		if (!is_live())
+			return;
+
+		if (info.outputs)
+			after.apply(null, ChainBase.prototype.handle_outputs.call(null, env, info, slice.call(arguments)));
+		else
+			after.apply(null, arguments);
+	}
+	__step_after.wraps = after;
+	params[1] = __step_after;
+
+	// A cancelled execution doesn't start any more steps, it unwinds instead
+	if (cancelled) {
+		env.$throw(cancelled);
+		return;
+	}
+
+	if (info.timeout > 0) {
+		timer = setTimeout(function() {
+			timer = null;
+			if (is_live()) {
+				expired = true;
+				env.$throw(new errors.TimeoutError(helpers.fname(info, info.fn.name)+' did not call after() within '+info.timeout+' ms', info.timeout));
+			}
+		}, info.timeout);
+	}
+
+	if (stalls.timeout > 0)
+		watch_id = watch_step(env, is_live);
+
+	try {
+		result = info.fn.apply(info.ctx, params);
+	}
+	catch (e) {
+		stop_timer();
+		unwatch_step(watch_id);
+		throw e;
+	}
+
+	if (helpers.is_thenable(result)) {
+		result.then(function(value) {
+			if (called)
+				return;
+			if (value === undefined)
+				__step_after();
+			else
+				__step_after(value);
+			settled = true;
+		}, function(err) {
+			// The chain has moved on, so the error can't be thrown anymore, but it shouldn't vanish
+			if (called) {
+				env._fm.$log('Promise rejected after its step called after() -- rejection ignored');
+				env._fm.$log('Stack trace: ' + (err && err.stack || err));
+				return;
+			}
+			called = true;
+			settled = true;
+			stop_timer();
+			unwatch_step(watch_id);
+			if (is_live())
+				env.$throw(err);
+		});
+	}
+}
+
+/**
+ * Runs this chain, returning a promise instead of taking an after callback. The promise is resolved
+ * with the arguments that the chain passes to after (undefined if there are none, the value if
+ * there is exactly one, or an array otherwise), and it is rejected with any exception that escapes
+ * from the chain.
+ * @param env The environment to run the chain in
+ * @param ... varargs that will be forwarded along to the chain
+ * @return Promise settled when the chain finishes
+ */
+cbp.run = function(env) {
+	var that = this;
+	var args = slice.call(arguments, 1);
+
+	return new Promise(function(resolve, reject) {
+		env._fm.$push_exception_handler(function __run_handler(env, err) {
+			reject(err);
+		}, helpers.noop);
+
+		that.apply(null, [env, function __run_after() {
+			env._fm.$pop_exception_handler();
+			if (arguments.length > 1)
+				resolve(slice.call(arguments));
+			else
+				resolve(arguments[0]);
+		}].concat(args));
+	});
 }
 
 /**
@@ -225,40 +729,50 @@ cp.apply = function(ctx, args) {
 		env = env.createScoped();
 	}
 
-	// Each chain adds an exception handler to update context information, it'll call the user handler
-	env._fm.$push_exception_handler(this.exception_handler.bind(this), this.make_after_glue(env, after, true));
-
-	// Set up our context-wrapping after and then create the serial chain
-	after = this.make_after_glue(env, after, false);
-	var cb = this.make_serial_chain(this.fns, env, after);
+	// Each chain adds an exception handler to update context information, it'll call the user handler,
+	// and then we set up our context-wrapping after and create the serial chain
+	var state = {};
+	after = this.enter(env, after, state);
+	var cb = this.make_serial_chain(this.fns, env, after, state);
 
 	// Invoke chain, passing forward arguments received
-	env._fm.$push_ctx(this.name);
+	env._fm.$push_ctx(this.name, this.constructor.name);
 	cm.queueTick(cb, args.slice(2));
 }
 
 /**
  * Helper that builds a serial callback chain out of an array of functions, including a given
- * environment and after pointer
+ * environment and after pointer. Each step is queued before it runs, so if the chain has been
+ * unwound by an exception in the meantime (such as a step that called after() twice in a row),
+ * the queued step is dropped instead of being run.
  * @param fns Array of functions to convert into a serial chain
  * @param env The environment to bind to the chain
  * @param after The function to call after the chain terminates
+ * @param state The state object created by enter() for the chain that owns these functions
  * @return Object containing callback and execution state
  */
-cp.make_serial_chain = function(fns, env, after) {
+cp.make_serial_chain = function(fns, env, after, state) {
 	function __tail() {
 		if (__chain_inner.idx < fns.length)
 			cm.queueTick(__chain_inner, slice.call(arguments));
 		else
-			cm.queueTick(after, slice.call(arguments));
+			cm.queueTick(__chain_done, slice.call(arguments));
+	}
+	function __chain_done() {
+		if (env._fm.$has_exception_frame(state.frame))
+			after.apply(null, arguments);
 	}
 	function __chain_inner() {
+		if (!env._fm.$has_exception_frame(state.frame))
+			return;
+
 		var v = fns[__chain_inner.idx++];
-		var params = Chain.prototype.handle_args.call(null, env, v, slice.call(arguments));
-		params.unshift(env, __tail);
+		var args = slice.call(arguments);
 		try {
 			env._fm.$push_call(helpers.fname(v, v.fn.name));
-			v.fn.apply(v.ctx, params);
+			var params = Chain.prototype.handle_args.call(null, env, v, args);
+			params.unshift(env, __tail);
+			ChainBase.prototype.invoke.call(null, env, v, params);
 		} catch (err) {
 			env.$throw(err);
 		}
@@ -337,7 +851,8 @@ cp.shift = function() {
 /**
  * A Loop Chain will iterate over its functions until the condition function specified returns
  * false, standardizing and simplifying the implementation for something that could already be
- * done with standard serial Chains.
+ * done with standard serial Chains. Inside of the body (including any nested chains), env.$break()
+ * leaves the loop and env.$continue() skips ahead to the next condition check.
  * @param cond Conditional function that is evaluated with an environment and an after
  * @param fns/varargs Functions to use for the body of the chain
  */
@@ -348,6 +863,10 @@ function LoopChain(cond, fns) {
 		Chain.apply(this, slice.call(arguments, 1));
 	
 	this.cond = this.wrap(cond);
+	this.init = null;
+	this.do_while = false;
+	this.max_iterations = 0;
+	this.loop_signals = true;
 	this.name = '(anonymous loop chain)';
 }
 LoopChain.prototype = new Chain();
@@ -362,10 +881,51 @@ lcp.set_cond = function(cond) {
 	this.cond = this.wrap(cond);
 }
 
+/**
+ * Sets an initializer, which is called once with the loop's arguments before anything else runs,
+ * and whose results are passed to the first condition check (or to the body, in do-while mode)
+ * @param init Callback to be used as the initializer, or null to remove it
+ */
+lcp.set_init = function(init) {
+	this.init = init ? this.wrap(init) : null;
+	return this;
+}
+
+/**
+ * Switches the loop between while mode (the default) and do-while mode, where the body is run
+ * once before the condition is checked for the first time
+ * @param do_while True to run the body before the first condition check
+ */
+lcp.set_do_while = function(do_while) {
+	this.do_while = !!do_while;
+	return this;
+}
+
+/**
+ * Chooses whether env.$break(), env.$continue(), and env.$iteration apply to this loop. A loop that
+ * is only an implementation detail, such as the one inside of a pattern, turns them off so that
+ * they reach the loop around it instead.
+ * @param enabled False to make this loop invisible to loop signals and env.$iteration
+ */
+lcp.set_loop_signals = function(enabled) {
+	this.loop_signals = !!enabled;
+	return this;
+}
+
+/**
+ * Limits the number of times that the body may run, as a guard against a condition that never
+ * becomes false. Starting a pass beyond the limit throws an IterationLimitError instead.
+ * @param n Maximum number of passes through the body, or 0 for no limit (the default)
+ */
+lcp.set_max_iterations = function(n) {
+	this.max_iterations = n;
+	return this;
+}
+
 /**
  * Really, the only thing that needs to change is that we modify the apply() method, so that it tests
- * the condition before executing the loop and after. Arguments are not forwarded, so do not supply
- * any extra arguments.
+ * the condition before executing the loop and after. Arguments given to the loop are passed to the
+ * initializer if there is one, otherwise to the condition (or the body, in do-while mode).
  * @param ctx required for apply() compatibility, ignored
  * @param args The rest of the arguments. The first two parameters should be env and after as usual
  */
@@ -374,43 +934,128 @@ lcp.apply = function(ctx, args) {
 	var after = args[1] || helpers.noop;
 	var that = this;
 	var info =  this.wrap(this);
-	var check, cb, handle;
+	var state = {};
+	var check, cb, handle, body, next, exit, start, params;
+
+	// Push exception handler wrapper with bare after call, and update after to remove our context
+	// when there is no exception. The state also tracks env.$iteration while we are running
+	after = this.enter(env, after, state);
+	state.iteration = 0;
+	state.visible = this.loop_signals;
+	if (state.visible)
+		env._fm.loops.push(state);
+
+	// Leave the loop normally, either because the condition failed or because of env.$break()
+	exit = function() {
+		if (state.visible)
+			env._fm.loops.pop();
+		after.apply(null, arguments);
+	};
 
-	// Push exception handler wrapper with bare after call
-	env._fm.$push_exception_handler(this.exception_handler.bind(this), this.make_after_glue(env, after, true));
+	// Start a new pass through the loop body, unless that would go over the limit
+	body = function() {
+		if (that.max_iterations > 0 && state.iteration >= that.max_iterations) {
+			env.$throw(new errors.IterationLimitError(that.name+' exceeded its limit of '+that.max_iterations+' iterations', that.max_iterations));
+			return;
+		}
 
-	// Update after to remove our context when there is no exception
-	after = this.make_after_glue(env, after, false);
+		try {
+			var params = that.handle_args(env, info, slice.call(arguments));
+		}
+		catch (e) {
+			env.$throw(e);
+			return;
+		}
+
+		cb.idx = 0;
+		cm.queueTick(cb, params);
+	};
 
 	// Handle the results from the condition function and call the next function appropriately
 	handle = function(result) {
-		if (result) {
-			cb.idx = 0;
-			cm.queueTick(cb, that.handle_args(env, info, slice.call(arguments, 1)));
-		}
-		else {
-			cm.queueTick(after, slice.call(arguments, 1));
-		}
+		if (result)
+			body.apply(null, slice.call(arguments, 1));
+		else
+			cm.queueTick(exit, slice.call(arguments, 1));
 	};
 
 	// Check if the loop condition is true with some nested closures to provide uniform continuation
 	// passing implementation.
 	check = function() {
-		// Set up arguments for the condition, as usual
-		var params = that.handle_args(env, that.cond, slice.call(arguments));
-		params.unshift(env, handle);
+		var args = slice.call(arguments);
+
+		try {
+			// Set up arguments for the condition, as usual, and call it
+			env._fm.$push_call(helpers.fname(that.cond, '(lambda condition)'), 'condition');
+			var params = that.handle_args(env, that.cond, args);
+			params.unshift(env, handle);
+			that.invoke(env, that.cond, params);
+		}
+		catch (e) {
+			env.$throw(e);
+		}
+	};
+
+	// A pass through the body has finished, either at its end or because of env.$continue()
+	next = function() {
+		state.iteration += 1;
+		check.apply(null, arguments);
+	};
 
-		// Call the condition with any given arguments
-		env._fm.$push_call(helpers.fname(that.cond, '(lambda condition)'));
-		that.cond.fn.apply(null, params);
+	// The exception handler passes loop signals here, once the chains inside of us have unwound
+	state.loop_signal = function(signal, params) {
+		if (signal.type == 'break')
+			cm.queueTick(exit, params);
+		else
+			cm.queueTick(next, params);
 	};
 
 	// Build loop body
-	cb = this.make_serial_chain(this.fns, env, check);
+	cb = this.make_serial_chain(this.fns, env, next, state);
 
-	// The structure is while(cond) { body(); }, so start with a condition check
-	env._fm.$push_ctx(this.name);
-	check.apply(null, slice.call(args, 2));
+	// The structure is while(cond) { body(); }, so start with a condition check, unless this is a
+	// do-while loop, and run the initializer before either one
+	env._fm.$push_ctx(this.name, this.constructor.name);
+	start = this.do_while ? body : check;
+
+	if (this.init) {
+		try {
+			env._fm.$push_call(helpers.fname(this.init, '(lambda initializer)'));
+			params = this.handle_args(env, this.init, args.slice(2));
+			params.unshift(env, function __init_after() {
+				start.apply(null, arguments);
+			});
+			this.invoke(env, this.init, params);
+		}
+		catch (e) {
+			env.$throw(e);
+		}
+	}
+	else {
+		start.apply(null, slice.call(args, 2));
+	}
+}
+
+/**
+ * Loop signals thrown by env.$break() and env.$continue() stop here, after any chains nested inside
+ * of the loop have been unwound. Since the loop is still running, its handler is put back on the
+ * exception stack before control returns to it, unless loop signals have been turned off for this
+ * loop, in which case they pass through to the loop around it. Anything else leaves the loop as usual.
+ * @param state The state object created by enter()
+ * @param env The environment variable
+ * @param err The error or loop signal that was thrown
+ */
+lcp.exception_handler = function(state, env, err) {
+	if (err instanceof errors.LoopSignal && state.visible) {
+		env._fm.$push_exception_handler(state.handler, state.except_after);
+		state.frame = env._fm.$get_exception_frame();
+		state.loop_signal(err, slice.call(arguments, 3));
+		return;
+	}
+
+	if (state.visible)
+		env._fm.loops.pop();
+	ChainBase.prototype.exception_handler.apply(this, arguments);
 }
 
 /**
@@ -427,11 +1072,41 @@ function ParallelChain(fns) {
 		Chain.apply(this, slice.call(arguments));
 
 	this.name = '(anonymous parallel chain)';
+	this.concurrency = 0;
+	this.failure_mode = 'wait';
 }
 ParallelChain.prototype = new Chain();
 ParallelChain.prototype.constructor = ParallelChain;
 var pcp = ParallelChain.prototype;
 
+/**
+ * Limits the number of threads that may run at the same time. The first n threads are started
+ * immediately, and then each time a thread finishes, the next one is started, until all of them
+ * have run. Thread ids and the order of the results are the same as without a limit.
+ * @param n Maximum number of threads to run at once, 0 for no limit
+ */
+pcp.set_concurrency = function(n) {
+	this.concurrency = n;
+	return this;
+}
+
+/**
+ * Chooses what happens when one or more threads throw an exception:
+ *   wait: Wait for all threads to finish, then throw the last exception (the default)
+ *   fail_fast: Throw the first exception immediately, cancelling the other threads
+ *   aggregate: Wait for all threads to finish, then throw an AggregateError with every thread's
+ *              error in err.errors, indexed by thread id
+ *   settled: Never throw, instead pass an array with {status : 'fulfilled', value : result} or
+ *            {status : 'rejected', reason : err} for each thread to after
+ * @param mode One of the mode names above
+ */
+pcp.set_failure_mode = function(mode) {
+	if (['wait', 'fail_fast', 'aggregate', 'settled'].indexOf(mode) < 0)
+		throw new Error('Unknown parallel chain failure mode: '+mode);
+	this.failure_mode = mode;
+	return this;
+}
+
 /**
  * As usual, most of the rewriting happens in apply.
  * @param ctx The this context, ignored
@@ -446,73 +1121,429 @@ pcp.apply = function(ctx, args) {
 	var exception_happened = false;
 	var exception = null;
 	var that = this;
+	var mode = this.failure_mode;
 	var expected = this.fns.length;
 	var results = new Array(expected);
 	var send_results = false;
+	var thread_errors = new Array(expected);
+	var error_count = 0;
+	var threads = new Array(expected);
+	var stopped = false;
+	var started = 0;
+	var limit = this.concurrency > 0 ? Math.min(this.concurrency, expected) : expected;
 
 	// Push exception handler, same as always, which we'll call if any thread encounters a problem
-	env._fm.$push_exception_handler(this.exception_handler.bind(this), this.make_after_glue(env, after, true));
+	after = this.enter(env, after);
+	var frame = env._fm.$get_exception_frame();
+
+	// Stop any threads that are still running, and don't start any more
+	function stop() {
+		stopped = true;
+		threads.forEach(function(lenv) {
+			if (lenv) {
+				lenv.$cancel('parallel chain stopped');
+				lenv.$detach();
+			}
+		});
+	}
+
+	// Called when every thread has finished to pass control on, based on the failure mode
+	function finish() {
+		if (mode == 'settled') {
+			nextTick(function() { after(results); });
+		}
+		else if (mode == 'any' && that.fns.length == 0) {
+			// Like Promise.any([]), there is no thread that could succeed
+			env.$throw(new errors.AggregateError([], that.name+' has no threads, so none of them can succeed'));
+		}
+		else if ((mode == 'aggregate' || mode == 'any') && error_count > 0) {
+			env.$throw(new errors.AggregateError(thread_errors, error_count+' of '+that.fns.length+' parallel threads failed'));
+		}
+		else if (exception_happened) {
+			env.$throw(exception);
+		}
+		else {
+			if (send_results) {
+				nextTick(function() { after(results); });
+			}
+			else {
+				nextTick(after);
+			}
+		}
+	}
 
 	// Count the environments that terminate until there are none outstanding before forwarding
-	after = this.make_after_glue(env, after, false);
 	var parallel_terminator = function(id) {
-		if (arguments.length > 1) {
-			if (arguments.length == 2)
-				results[id] = arguments[1];
-			else
-				results[id] = slice.call(arguments, 1);
+		// The thread's calls are done, even if its results no longer matter
+		if (threads[id]) {
+			threads[id]._fm.$finish();
+			threads[id].$detach();
+		}
+
+		// If the chain was already unwound (i.e. it timed out), then the threads no longer matter
+		if (stopped || !env._fm.$has_exception_frame(frame))
+			return;
+
+		threads[id] = null;
+
+		// Racing threads stop everything as soon as one of them has finished successfully
+		if ((mode == 'race' || mode == 'any') && !(id in thread_errors)) {
+			var winner = slice.call(arguments, 1);
+			stop();
+			nextTick(function() { after.apply(null, winner); });
+			return;
+		}
+
+		if (mode == 'settled') {
+			if (!(id in thread_errors))
+				results[id] = {status : 'fulfilled', value : thread_value(arguments)};
+		}
+		else if (arguments.length > 1) {
+			results[id] = thread_value(arguments);
 			send_results = true;
 		}
 
 		expected -= 1;
-		if (expected == 0) {
-			if (exception_happened) {
-				env.$throw(exception);
-			}
-			else {
-				if (send_results) {
-					nextTick(function() { after(results); });
-				}
-				else {
-					nextTick(after);
-				}
-			}
+		if (started < that.fns.length) {
+			cm.queueTick(spawn, [started]);
+			started += 1;
+		}
+		else if (expected == 0) {
+			finish();
 		}
 	};
 
 	// Inner exception handler used for each parallel thread. Declared once here to reduce overhead
 	var inner_handler = function __inner_handler(env, err) {
+		var id = env._thread_id;
+
+		// Throwing from the parallel chain replaces err.backtrace, so keep the one from inside the thread
+		err.thread_backtrace = err.backtrace;
+
+		// A thread that has already finished can't fail anymore, so anything it throws afterwards,
+		// such as calling after() twice, is thrown from the parallel chain itself instead
+		if (threads[id] === null) {
+			env._env.$throw(err);
+			return;
+		}
+
 		exception_happened = true;
 		exception = err;
-		env.$catch();
+		thread_errors[id] = err;
+		error_count += 1;
+
+		if (mode == 'settled')
+			results[id] = {status : 'rejected', reason : err};
+
+		if ((mode == 'fail_fast' || mode == 'race') && !stopped && env._env._fm.$has_exception_frame(frame)) {
+			stop();
+			env._env.$throw(err);
+		}
+		else {
+			env.$catch();
+		}
 	};
 
-	// Push backtracing context
-	env._fm.$push_ctx(this.name);
+	// Create the local environment for one thread and start it
+	function spawn(k) {
+		if (stopped)
+			return;
 
-	// Iterate over functions, create local environment, and spawn them all
-	nextTick(function() {
-		that.fns.forEach(function(v, k) {
-			var terminator = parallel_terminator.bind(null, k);
-			var lenv = new LocalEnvironment(env, k);
+		var v = that.fns[k];
+		var terminator = parallel_terminator.bind(null, k);
+		var lenv = new LocalEnvironment(env, k);
+		threads[k] = lenv;
+
+		// Lots of state to push locally as well, before we can call
+		lenv._fm.$push_ctx(that.name, that.constructor.name);
+		lenv._fm.$push_call(helpers.fname(v, v.fn.name));
+		lenv._fm.$push_exception_handler(inner_handler, terminator);
+
+		try {
+			// Pass the same arguments to all of the functions, if given
 			var params = that.handle_args(lenv, v, fn_args.slice());
 			params.unshift(lenv, terminator);
+			that.invoke(lenv, v, params);
+		}
+		catch (e) {
+			lenv.$throw(e);
+		}
+	}
 
-			// Lots of state to push locally as well, before we can call
-			lenv._fm.$push_ctx(that.name);
-			lenv._fm.$push_call(helpers.fname(v, v.fn.name));
-			lenv._fm.$push_exception_handler(inner_handler, terminator);
+	// Push backtracing context
+	env._fm.$push_ctx(this.name, this.constructor.name);
 
-			try {
-				// Pass the same arguments to all of the functions, if given
-				v.fn.apply(v.ctx, params);
-			}
-			catch (e) {
-				lenv.$throw(e);
-			}
-		});
+	// Spawn as many threads as we're allowed to, the rest are started as these finish. With no
+	// threads at all, there is nothing to wait for
+	nextTick(function() {
+		if (expected == 0) {
+			finish();
+			return;
+		}
+
+		// Threads that finish synchronously start the next one themselves, so count before spawning
+		while (started < limit && !stopped) {
+			started += 1;
+			spawn(started - 1);
+		}
+	});
+}
+
+/**
+ * Converts the arguments given to a parallel terminator into the result value for that thread:
+ * undefined if nothing was passed, the value itself if there was one, or an array if there were more
+ * @param args The arguments object from the terminator, including the thread id first
+ * @return The result for the thread
+ */
+function thread_value(args) {
+	if (args.length == 2)
+		return args[1];
+	else if (args.length > 2)
+		return slice.call(args, 1);
+	return undefined;
+}
+
+/**
+ * A race chain runs all of its functions in parallel, just like a parallel chain, but the first
+ * thread to finish decides the outcome: if it calls after(), its arguments are passed on to the
+ * race chain's after, and if it throws, the exception is thrown from the race chain. Either way,
+ * the other threads are cancelled and anything they produce later is ignored.
+ * @param fns Array of functions to use. Alternatively, varargs, each argument is a function
+ */
+function RaceChain(fns) {
+	if (fns instanceof Array)
+		ParallelChain.apply(this, fns);
+	else
+		ParallelChain.apply(this, slice.call(arguments));
+
+	this.name = '(anonymous race chain)';
+	this.failure_mode = 'race';
+}
+RaceChain.prototype = new ParallelChain();
+RaceChain.prototype.constructor = RaceChain;
+
+/**
+ * The failure mode is what makes this a race chain, so it can't be changed
+ */
+RaceChain.prototype.set_failure_mode = function(mode) {
+	throw new Error('The failure mode of a RaceChain cannot be changed');
+}
+
+/**
+ * An any chain runs all of its functions in parallel, and the first thread to call after() wins,
+ * passing its arguments on to the any chain's after and cancelling the other threads. Threads
+ * that throw are ignored, unless every thread throws, in which case an AggregateError with all of
+ * the errors is thrown. An any chain without any threads throws an AggregateError as well.
+ * @param fns Array of functions to use. Alternatively, varargs, each argument is a function
+ */
+function AnyChain(fns) {
+	if (fns instanceof Array)
+		ParallelChain.apply(this, fns);
+	else
+		ParallelChain.apply(this, slice.call(arguments));
+
+	this.name = '(anonymous any chain)';
+	this.failure_mode = 'any';
+}
+AnyChain.prototype = new ParallelChain();
+AnyChain.prototype.constructor = AnyChain;
+
+/**
+ * The failure mode is what makes this an any chain, so it can't be changed
+ */
+AnyChain.prototype.set_failure_mode = function(mode) {
+	throw new Error('The failure mode of an AnyChain cannot be changed');
+}
+
+/**
+ * A retry chain runs its body, and if the body throws an exception, it runs the body again, up
+ * to a maximum number of attempts, waiting for a backoff delay in between. The parameter stack
+ * is restored to the state it had when the retry chain was entered before each new attempt, and
+ * the same arguments are passed to the body every time. Each attempt shows up as its own call in
+ * the execution trace. If the last attempt fails, or the error is not retryable, the exception is
+ * passed on to this chain's exception handler as usual.
+ * @param body Chain/function to execute (and possibly retry)
+ * @param options Optional retry settings, see set_retry()
+ */
+function RetryChain(body, options) {
+	var that = this;
+
+	this.body = this.wrap(body);
+	this.name = '(anonymous retry chain)';
+	this.max_attempts = 3;
+	this.backoff = 'fixed';
+	this.delay = 0;
+	this.factor = 2;
+	this.max_delay = Infinity;
+	this.jitter = 0;
+	this.retry_if = null;
+	this.set_retry(options || {});
+
+	// The retry chain takes the same arguments that its body does
+	this.__defineGetter__('length', function() {
+		if (that.body)
+			return that.body.params;
+		return 0;
 	});
 }
+RetryChain.prototype = new ChainBase();
+RetryChain.prototype.constructor = RetryChain;
+var rcp = RetryChain.prototype;
+
+/**
+ * Updates the retry settings. Any of these keys may be given, and the others are left alone:
+ *   max_attempts: Total number of times to run the body, including the first (default 3)
+ *   backoff: 'fixed' to always wait delay ms, or 'exponential' to multiply it by factor each time
+ *   delay: Milliseconds to wait before the first retry (default 0)
+ *   factor: Growth factor for exponential backoff (default 2)
+ *   max_delay: Upper limit on the delay between attempts (default none)
+ *   jitter: Fraction from 0 to 1 of each delay that is randomized, to spread out retries (default 0)
+ *   retry_if: Predicate given the error that returns true if it should be retried (default all)
+ * @param options Object with the settings to change
+ */
+rcp.set_retry = function(options) {
+	var keys = ['max_attempts', 'backoff', 'delay', 'factor', 'max_delay', 'jitter', 'retry_if'];
+	for (var i = 0; i < keys.length; ++i) {
+		if (options[keys[i]] !== undefined)
+			this[keys[i]] = options[keys[i]];
+	}
+	return this;
+}
+
+/**
+ * Sets the chain/function that is run (and retried) by this chain
+ * @param body The new body
+ */
+rcp.set_body = function(body) {
+	this.body = this.wrap(body);
+	return this;
+}
+
+/**
+ * Decides whether an error thrown by the body should cause another attempt
+ * @param err The error that was thrown
+ * @return bool True if the body should be run again
+ */
+rcp.is_retryable = function(err) {
+	if (this.retry_if)
+		return !!this.retry_if(err);
+	return true;
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ * @param attempt The number of the attempt that just failed, starting from 1
+ * @return Delay in milliseconds
+ */
+rcp.get_delay = function(attempt) {
+	var delay = this.delay;
+
+	if (this.backoff == 'exponential')
+		delay = delay * Math.pow(this.factor, attempt - 1);
+	delay = Math.min(delay, this.max_delay);
+
+	if (this.jitter > 0)
+		delay = delay * (1 - this.jitter * Math.random());
+	return delay;
+}
+
+/**
+ * Runs the body, with the retry logic wrapped around it.
+ * @param ctx The thisarg, for compatibility with Function prototype, ignored
+ * @param args The arguments array, env, after, and then arguments for the body
+ */
+rcp.apply = function(ctx, args) {
+	var env = args[0];
+	var after = args[1] || helpers.noop;
+	var fn_args = args.slice(2);
+	var that = this;
+	var state = {};
+	var attempt = 0;
+	var stack;
+
+	if (this.local_env) {
+		env = env.createScoped();
+	}
+
+	after = this.enter(env, after, state);
+	state.retry_timer = null;
+	stack = env._fm.stack.slice();
+
+	// Successful attempt, so remove the attempt's handler and context and leave the chain
+	function __attempt_after() {
+		env._fm.$pop_exception_handler();
+		env._fm.$pop_ctx();
+		after.apply(null, arguments);
+	}
+
+	// Failed attempt; $throw has already removed our handler, so only the context is left
+	function __retry_handler(env, err) {
+		env._fm.$pop_ctx();
+
+		if (attempt < that.max_attempts && !state.timed_out && !env.$cancelled() && !passes_through(state, err) && that.is_retryable(err)) {
+			env._fm.stack = stack.slice();
+			state.retry_timer = setTimeout(run_attempt, that.get_delay(attempt));
+		}
+		else {
+			env.$throw.apply(null, slice.call(arguments, 1));
+		}
+	}
+
+	function run_attempt() {
+		var cancelled = env.$cancelled();
+
+		state.retry_timer = null;
+
+		// The chain may have timed out or been unwound while waiting to retry
+		if (!env._fm.$has_exception_frame(state.frame))
+			return;
+		if (cancelled) {
+			env.$throw(cancelled);
+			return;
+		}
+
+		attempt += 1;
+		env._fm.$push_call('(attempt '+attempt+' of '+that.max_attempts+')', 'attempt');
+		env._fm.$push_ctx(that.name, that.constructor.name);
+		env._fm.$push_exception_handler(__retry_handler, helpers.noop);
+
+		try {
+			env._fm.$push_call(helpers.fname(that.body, that.body.fn.name));
+			var params = that.handle_args(env, that.body, fn_args.slice());
+			params.unshift(env, __attempt_after);
+			that.invoke(env, that.body, params);
+		}
+		catch (e) {
+			env.$throw(e);
+		}
+	}
+
+	env._fm.$push_ctx(this.name, this.constructor.name);
+	cm.queueTick(run_attempt);
+}
+
+/**
+ * Stops the wait before the next attempt, if there is one, along with the deadline, so that an
+ * attempt doesn't start after the chain has exited
+ * @param state The state object created by enter()
+ */
+rcp.clear_timeout = function(state) {
+	if (state.retry_timer) {
+		clearTimeout(state.retry_timer);
+		state.retry_timer = null;
+	}
+	ChainBase.prototype.clear_timeout.call(this, state);
+}
+
+/**
+ * Forwards to apply, as with the other chain types
+ * @param ctx The context required to meet the function signature. Ignored
+ * @param env The execution environment
+ * @param after The callback to call after this Chain completes
+ */
+rcp.call = function(ctx) {
+	this.apply(ctx, slice.call(arguments, 1));
+}
 
 /**
  * A branch is used to simplify multipath management when constructing Chains.
@@ -574,28 +1605,31 @@ bp.apply = function(ctx, args) {
 		env = env.createScoped();
 	}
 
-	// After some discussion, this will still have its own exception context
-	env._fm.$push_exception_handler(this.exception_handler.bind(this), this.make_after_glue(env, after, true));
-
-	// Which means we need to tear it down before moving on as well
-	after = this.make_after_glue(env, after, false);
+	// After some discussion, this will still have its own exception context, which means we need
+	// to tear it down before moving on as well
+	var state = {};
+	after = this.enter(env, after, state);
 
 	// This closure handles the response from the condition function
 	function __chain_inner(result) {
 		var args = slice.call(arguments, 1);
 		nextTick(function() {
+			// The branch may have been unwound since the condition called after()
+			if (!env._fm.$has_exception_frame(state.frame))
+				return;
+
 			try {
 				if (result) {
+					env._fm.$push_call(helpers.fname(that.if_true, that.if_true.fn.name));
 					var params = that.handle_args(env, that.if_true, args);
 					params.unshift(env, after);
-					env._fm.$push_call(helpers.fname(that.if_true, that.if_true.fn.name));
-					that.if_true.fn.apply(null, params);
+					that.invoke(env, that.if_true, params);
 				}
 				else {
+					env._fm.$push_call(helpers.fname(that.if_false, that.if_false.fn.name));
 					var params = that.handle_args(env, that.if_false, args);
 					params.unshift(env, after);
-					env._fm.$push_call(helpers.fname(that.if_false, that.if_false.fn.name));
-					that.if_false.fn.apply(null, params);
+					that.invoke(env, that.if_false, params);
 				}
 			}
 			catch (e) {
@@ -604,16 +1638,22 @@ bp.apply = function(ctx, args) {
 		});
 	};
 
-	// Create the arguments, including stack updates, for the condition function
-	var adjusted_args = this.handle_args(env, this.cond, args.slice(2));
-	adjusted_args.unshift(env, __chain_inner);
+	// Update the backtrace, then create the arguments, including stack updates, for the condition
+	env._fm.$push_ctx(this.name, this.constructor.name);
+	env._fm.$push_call(helpers.fname(this.cond, this.cond.fn.name), 'condition');
+	try {
+		var adjusted_args = this.handle_args(env, this.cond, args.slice(2));
+		adjusted_args.unshift(env, __chain_inner);
+	}
+	catch (e) {
+		env.$throw(e);
+		return;
+	}
 
-	// Finally, update the backtrace and then call the condition function
-	env._fm.$push_ctx(this.name);
-	env._fm.$push_call(helpers.fname(this.cond, this.cond.fn.name));
+	// Finally, call the condition function
 	nextTick(function() {
 		try {
-			that.cond.fn.apply(null, adjusted_args);
+			that.invoke(env, that.cond, adjusted_args);
 		}
 		catch (e) {
 			env.$throw(e);
@@ -633,16 +1673,184 @@ bp.call = function(ctx) {
 	this.apply(ctx, slice.call(arguments, 1));
 }
 
+/**
+ * A switch is the multi-way version of a branch. Its selector function passes a key to its
+ * after (along with any arguments that should be forwarded), and the function/chain registered
+ * for that key is executed, before control passes to the switch's after. If no case matches the
+ * key, the default is executed instead, and if there is no default either, the forwarded arguments
+ * are passed directly on to after.
+ * @param selector Function that passes the key of the case to run to its after
+ * @param cases Object mapping each key to the Chain/function to execute for it
+ * @param def Optional Chain/function to execute when no case matches
+ */
+function Switch(selector, cases, def) {
+	this.selector = this.wrap(selector);
+	this.cases = {};
+	this.default_case = null;
+	this.name = '(Unnamed Switch)';
+
+	for (var key in cases) {
+		this.add_case(key, cases[key]);
+	}
+	if (def)
+		this.set_default(def);
+}
+Switch.prototype = new ChainBase();
+Switch.prototype.constructor = Switch;
+var swp = Switch.prototype;
+
+/**
+ * Sets the selector function, which decides which case will be executed
+ * @param selector The new selector function
+ */
+swp.set_selector = function(selector) {
+	this.selector = this.wrap(selector);
+	return this;
+}
+
+/**
+ * Adds a case to this switch, replacing any existing case with the same key
+ * @param key The key that the selector will produce to choose this case
+ * @param fn The Chain/function to execute for this case
+ */
+swp.add_case = function(key, fn) {
+	this.cases[key] = this.wrap(fn);
+	return this;
+}
+
+/**
+ * Removes the case with the given key, if there is one
+ * @param key The key of the case to remove
+ */
+swp.remove_case = function(key) {
+	delete this.cases[key];
+	return this;
+}
+
+/**
+ * Sets the Chain/function to execute if no case matches the key
+ * @param def The default case, or null to pass control directly to after
+ */
+swp.set_default = function(def) {
+	this.default_case = def ? this.wrap(def) : null;
+	return this;
+}
+
+/**
+ * Finds the Chain/function that should be executed for a key
+ * @param key The key produced by the selector
+ * @return The case for the key, the default if there is none, or null if there is no default
+ */
+swp.get_case = function(key) {
+	if (Object.prototype.hasOwnProperty.call(this.cases, key))
+		return this.cases[key];
+	return this.default_case;
+}
+
+/**
+ * Evaluates the selector, and then the selected case, in the execution environment given
+ * and then passes control to the supplied follow-on function.
+ * @param ctx The thisarg, for compatibility with Function prototype, ignored
+ * @param args The actual arguments array to use during evaluation
+ */
+swp.apply = function(ctx, args) {
+	var env = args[0];
+	var after = args[1] || helpers.noop;
+	var that = this;
+
+	if (this.local_env) {
+		env = env.createScoped();
+	}
+
+	// Same exception context setup as a branch
+	var state = {};
+	after = this.enter(env, after, state);
+
+	// This closure handles the key produced by the selector function
+	function __chain_inner(key) {
+		var args = slice.call(arguments, 1);
+		nextTick(function() {
+			var target = that.get_case(key);
+
+			if (!env._fm.$has_exception_frame(state.frame))
+				return;
+
+			if (target === null) {
+				after.apply(null, args);
+				return;
+			}
+
+			try {
+				env._fm.$push_call(helpers.fname(target, target.fn.name));
+				var params = that.handle_args(env, target, args);
+				params.unshift(env, after);
+				that.invoke(env, target, params);
+			}
+			catch (e) {
+				env.$throw(e);
+			}
+		});
+	};
+
+	// Update the backtrace, then create the arguments, including stack updates, for the selector
+	env._fm.$push_ctx(this.name, this.constructor.name);
+	env._fm.$push_call(helpers.fname(this.selector, this.selector.fn.name), 'condition');
+	try {
+		var adjusted_args = this.handle_args(env, this.selector, args.slice(2));
+		adjusted_args.unshift(env, __chain_inner);
+	}
+	catch (e) {
+		env.$throw(e);
+		return;
+	}
+
+	// Then call the selector
+	nextTick(function() {
+		try {
+			that.invoke(env, that.selector, adjusted_args);
+		}
+		catch (e) {
+			env.$throw(e);
+		}
+	});
+}
+
+/**
+ * Forwards to apply, as with the other chain types
+ * @param ctx The context required to meet the function signature. Ignored
+ * @param env The execution environment
+ * @param after The callback to call after this Chain completes
+ */
+swp.call = function(ctx) {
+	this.apply(ctx, slice.call(arguments, 1));
+}
+
 // Export library interface-type functions
 module.exports.ChainBase = ChainBase;
 module.exports.Chain = Chain;
 module.exports.LoopChain = LoopChain;
 module.exports.ParallelChain = ParallelChain;
+module.exports.RaceChain = RaceChain;
+module.exports.AnyChain = AnyChain;
+module.exports.RetryChain = RetryChain;
 module.exports.Branch = Branch;
+module.exports.Switch = Switch;
 module.exports.Environment = Environment;
 module.exports.mkfn = mkfn;
+module.exports.set_strict = set_strict;
+module.exports.set_thread_tracing = set_thread_tracing;
+module.exports.detect_stalls = detect_stalls;
+module.exports.TimeoutError = errors.TimeoutError;
+module.exports.CancelledError = errors.CancelledError;
+module.exports.AggregateError = errors.AggregateError;
+module.exports.IterationLimitError = errors.IterationLimitError;
+module.exports.StackError = errors.StackError;
+module.exports.DoubleCallError = errors.DoubleCallError;
 module.exports.p = {};
 
 // Include the list of patterns through a sketchy function wrapper
 require('./patterns')(module.exports, module.exports.p);
+require('./streams')(module.exports, module.exports.p);
 require('./gen-dot')(module.exports);
+require('./validate')(module.exports);
+require('./profiler')(module.exports);
@@ -7,6 +7,15 @@
  * Permission to use granted under the terms of the MIT License. See LICENSE for details.
  */
 
+/**
+ * High resolution timestamp used to time calls
+ * @return Number of milliseconds, with a fractional part, from an arbitrary starting point
+ */
+function now() {
+	var time = process.hrtime();
+	return time[0] * 1e3 + time[1] / 1e6;
+}
+
 /**
  * Metadata is stored inside a class that provides all of the useful interface. You
  * should not access member data outside of here, but hey, if the interface is insufficient,
@@ -21,9 +30,25 @@ function FluxMeta(env, log) {
 	this.call_stack = [];
 	this.exception_stack = [];
 	this.exception_after = undefined;
+	this.cancelled = null;
+	this.loops = [];
+	this.controller = null;
+	this.strict = null;
+	this.trace_threads = null;
+	this.threads = [];
 	this.$log = log;
 }
 
+/**
+ * Default for strict stack mode, used by every environment that hasn't chosen for itself
+ */
+FluxMeta.strict = false;
+
+/**
+ * Default for thread tracing, used by every environment that hasn't chosen for itself
+ */
+FluxMeta.trace_threads = false;
+
 var fmp = FluxMeta.prototype;
 
 /**
@@ -42,6 +67,50 @@ fmp.$pop_stack = function() {
 	return this.stack.pop();
 }
 
+/**
+ * Checks whether strict stack mode is on for this environment, which is either its own setting, or
+ * the global default if it doesn't have one
+ * @return bool True if stack underflows and leftover values should be thrown as errors
+ */
+fmp.$is_strict = function() {
+	if (this.strict !== null)
+		return this.strict;
+	return FluxMeta.strict;
+}
+
+/**
+ * Checks whether thread tracing is on for this environment, which is either its own setting, or
+ * the global default if it doesn't have one
+ * @return bool True if parallel threads should be kept for exported traces and trace trees
+ */
+fmp.$is_tracing_threads = function() {
+	if (this.trace_threads !== null)
+		return this.trace_threads;
+	return FluxMeta.trace_threads;
+}
+
+/**
+ * Records the metadata of a parallel thread started from this environment, so that its calls can
+ * be included when the trace is exported. The thread is also added to the call that started it,
+ * so that the trace tree can find it there. This keeps every thread's call graph for as long as
+ * the environment is around, so it is only done when thread tracing is on.
+ * @param id The thread's id
+ * @param fm The thread's metadata
+ */
+fmp.$add_thread = function(id, fm) {
+	var thread = {id : id, fm : fm};
+	var parent = this.call_stack[this.call_stack.length - 1];
+
+	if (!this.$is_tracing_threads())
+		return;
+
+	this.threads.push(thread);
+	if (parent) {
+		parent.threads = parent.threads || [];
+		parent.threads.push(thread);
+	}
+}
+
 /**
  * Push a new handler onto the exception stack
  * @param h The new exception handler to add
@@ -61,6 +130,25 @@ fmp.$pop_exception_handler = function() {
 	return h[0];
 }
 
+/**
+ * Retrieves the topmost entry on the exception stack, which identifies the innermost chain that
+ * is currently running. The entry itself should be treated as opaque.
+ * @return Object The topmost exception stack entry, or undefined if the stack is empty
+ */
+fmp.$get_exception_frame = function() {
+	return this.exception_stack[this.exception_stack.length - 1];
+}
+
+/**
+ * Checks if an entry retrieved with $get_exception_frame() is still on the exception stack. Once
+ * it has been removed, the chain that pushed it has exited, either normally or due to an exception
+ * @param frame The exception stack entry to look for
+ * @return bool True if the frame is still on the stack
+ */
+fmp.$has_exception_frame = function(frame) {
+	return this.exception_stack.indexOf(frame) >= 0;
+}
+
 /**
  * Retrieves the current exception after call, if one is assigned
  * @return Function, to be called after an exception is successfully handled by the most recent handler
@@ -74,15 +162,16 @@ fmp.$get_exception_after = function() {
  * tracks the function calls within that chain, but is removed after the chain exists, in order to simplify
  * some of the "depth" if we need to print a backtrace.
  * @param name The name of the chain creating a context
+ * @param type The type of the chain, such as 'Chain' or 'ParallelChain'
  */
-fmp.$push_ctx = function(name) {
+fmp.$push_ctx = function(name, type) {
 	if (this.call_first === null) {
-		var ctx = new Context(name);
+		var ctx = new Context(name, 'chain');
 		this.call_current = ctx;
 		this.call_first = ctx;
 	}
 
-	var ctx = new ContextHead();
+	var ctx = new ContextHead(type);
 	this.call_current.child = ctx;
 	this.call_stack.push(this.call_current);
 	this.call_current = ctx;
@@ -90,11 +179,13 @@ fmp.$push_ctx = function(name) {
 
 /**
  * Pushes a function call into the current call context, which is done whenever a function within a chain
- * is evaluated (regardless of type).
+ * is evaluated (regardless of type). This also marks the end of the previous call in the context.
  * @param name The name of the function call
+ * @param kind Optional kind of call, for the trace tree (default 'step')
  */
-fmp.$push_call = function(name) {
-	var ctx = new Context(name);
+fmp.$push_call = function(name, kind) {
+	var ctx = new Context(name, kind || 'step');
+	this.call_current.finish(ctx.start);
 	this.call_current.next = ctx;
 	this.call_current = ctx;
 }
@@ -107,7 +198,29 @@ fmp.$push_call = function(name) {
  * is not an issue, and we do get a trivially small performance improvement by not checking...
  */
 fmp.$pop_ctx = function() {
+	var time = now();
+
+	// Both the last call inside of the context and the call that owns the context are done now, but
+	// a late after() may pop the topmost context again, so there might be nothing left to finish
+	if (this.call_current)
+		this.call_current.finish(time);
 	this.call_current = this.call_stack.pop();
+	if (this.call_current)
+		this.call_current.finish(time);
+}
+
+/**
+ * Marks every call that is still open as finished, which is done when a parallel thread ends,
+ * because its contexts are never popped
+ */
+fmp.$finish = function() {
+	var time = now();
+
+	if (this.call_current)
+		this.call_current.finish(time);
+	this.call_stack.forEach(function(ctx) {
+		ctx.finish(time);
+	});
 }
 
 /**
@@ -136,13 +249,18 @@ fmp.$get_exec_trace = function() {
 /**
  * Retrieves an abridged back trace up to this point as a flat array. This omits any calls that are not
  * in the immediate hierarchy of the current call, to reduce the amount of information that is displayed.
+ * If a mark from $mark() is given, the back trace is instead for the point where the mark was made.
+ * @param mark Optional mark to get the back trace for
  * @return Array Trace information, where each element is an array of [function name, depth]
  */
-fmp.$get_back_trace = function() {
+fmp.$get_back_trace = function(mark) {
 	var bt = []
 	var ctx = this.call_first;
 	var depth = 0;
 
+	if (mark)
+		return this.$get_marked_trace(mark);
+
 	while (ctx != null) {
 		if (!(ctx instanceof ContextHead))
 			bt.push([ctx.name, depth]);
@@ -153,13 +271,246 @@ fmp.$get_back_trace = function() {
 	return bt;
 }
 
+/**
+ * Marks the current position in the call graph, so that the back trace for this point can still be
+ * produced later, after more calls have been added. Only the current path through the contexts is
+ * saved, so this is cheap enough to do often.
+ * @return Object Opaque mark to pass to $get_back_trace()
+ */
+fmp.$mark = function() {
+	return {stack : this.call_stack.slice(), current : this.call_current};
+}
+
+/**
+ * Rebuilds the back trace at a mark, by walking each level of the call graph from its head up to
+ * the context that was current at that level when the mark was made
+ * @param mark Mark produced by $mark()
+ * @return Array Trace information, where each element is an array of [function name, depth]
+ */
+fmp.$get_marked_trace = function(mark) {
+	var bt = [];
+	var ctx, end;
+
+	if (mark.stack.length == 0)
+		return bt;
+
+	bt.push([mark.stack[0].name, 0]);
+	for (var i = 0; i < mark.stack.length; ++i) {
+		end = (i+1 < mark.stack.length) ? mark.stack[i+1] : mark.current;
+		ctx = mark.stack[i].child;
+
+		while (ctx !== null) {
+			if (!(ctx instanceof ContextHead))
+				bt.push([ctx.name, i+1]);
+			if (ctx === end)
+				break;
+			ctx = ctx.next;
+		}
+	}
+
+	return bt;
+}
+
+/**
+ * Retrieves timing information for every call in the execution trace, in the same order as
+ * $get_exec_trace(). A call runs from when it is pushed until the next call in the same context is
+ * pushed, or until the context ends, so the time spent waiting to be scheduled is included. Calls
+ * that haven't finished yet are timed up to now.
+ * @return Array of objects with the name of the call, the name of the chain that made it, its depth,
+ *         its start time relative to the start of the execution, its total time including any
+ *         nested calls, and its self time excluding them, all in milliseconds
+ */
+fmp.$get_profile = function() {
+	var profile = [];
+	var time = now();
+	var origin;
+
+	function profile_helper(ctx, depth, chain) {
+		var sum = 0;
+		var entry, nested;
+
+		for (; ctx !== null; ctx = ctx.next) {
+			if (ctx instanceof ContextHead)
+				continue;
+
+			entry = {
+				name : ctx.name,
+				chain : chain,
+				depth : depth,
+				start : ctx.start - origin,
+				total : (ctx.end !== undefined ? ctx.end : time) - ctx.start,
+				self : 0
+			};
+			profile.push(entry);
+
+			nested = ctx.child !== null ? profile_helper(ctx.child, depth+1, ctx.name) : 0;
+			entry.self = Math.max(entry.total - nested, 0);
+			sum += entry.total;
+		}
+
+		return sum;
+	}
+
+	if (this.call_first !== null) {
+		origin = this.call_first.start;
+		profile_helper(this.call_first, 0, null);
+	}
+	return profile;
+}
+
+/**
+ * Retrieves the complete execution trace as a tree, which keeps the details that the flat traces
+ * leave out. Each node is a plain object, so the tree can be passed to JSON.stringify() as is, with:
+ * kind: What the call was: 'chain' for the outermost chain, 'step' for a function or nested chain,
+ *       'condition' for a condition or selector, 'handler' for an exception handler, 'finally' for
+ *       a finally handler, 'after' for the function called once a chain finishes, 'attempt' for
+ *       an attempt of a retry chain, 'throw', 'catch', 'break', or 'continue' for calls to the
+ *       environment methods of the same names, and 'thread' for a parallel thread
+ * name: The name of the call
+ * type: The type of chain that the call ran, such as 'Chain' or 'ParallelChain', or null
+ * thread: The id of the parallel thread that made the call, or null for the main environment
+ * start: When the call started, in milliseconds since the start of the execution
+ * end: When the call ended, in the same units, or null if it hasn't yet
+ * children: Array of the calls made by the chain that this call ran, along with the threads it
+ *           started if it was a parallel chain, in the order that they started
+ * The tree itself is a node with kind 'root', whose children are the top level calls.
+ * @return Object Root node of the tree
+ */
+fmp.$get_trace_tree = function() {
+	var origin = this.call_first !== null ? this.call_first.start : now();
+
+	function node_helper(kind, name, type, thread, start, end) {
+		return {
+			kind : kind,
+			name : name,
+			type : type,
+			thread : thread,
+			start : start !== undefined ? start - origin : null,
+			end : end !== undefined ? end - origin : null,
+			children : []
+		};
+	}
+
+	function thread_helper(t) {
+		var first = t.fm.call_first || {};
+		var node = node_helper('thread', 'thread '+t.id, null, t.id, first.start, first.end);
+		node.children = tree_helper(t.fm.call_first, t.id);
+		return node;
+	}
+
+	function tree_helper(ctx, thread) {
+		var nodes = [];
+		var node, type;
+
+		for (; ctx !== null; ctx = ctx.next) {
+			if (ctx instanceof ContextHead)
+				continue;
+
+			type = ctx.child !== null ? ctx.child.type : null;
+			node = node_helper(ctx.kind, ctx.name, type, thread, ctx.start, ctx.end);
+			if (ctx.child !== null)
+				node.children = tree_helper(ctx.child, thread);
+
+			// Threads start in between the other calls made by a parallel chain
+			if (ctx.threads !== null) {
+				node.children = node.children.concat(ctx.threads.map(thread_helper));
+				node.children.sort(function(a, b) {
+					return a.start - b.start;
+				});
+			}
+
+			nodes.push(node);
+		}
+
+		return nodes;
+	}
+
+	var root = node_helper('root', null, null, null, origin, undefined);
+	root.children = tree_helper(this.call_first, null);
+	return root;
+}
+
+/**
+ * Flattens a trace tree into the same form as the other traces, so that it can be used with the
+ * older formatting functions. Threads are listed where they were started, under their own names.
+ * @param tree Trace tree from $get_trace_tree()
+ * @return Array Trace information, where each element is an array of [function name, depth]
+ */
+fmp.$flatten_trace_tree = function(tree) {
+	var trace = [];
+
+	function flatten_helper(nodes, depth) {
+		nodes.forEach(function(node) {
+			trace.push([node.name, depth]);
+			flatten_helper(node.children, depth+1);
+		});
+	}
+
+	flatten_helper(tree.children, 0);
+	return trace;
+}
+
+/**
+ * Converts the call graph into events in the Trace Event Format used by chrome://tracing and
+ * Perfetto, with a complete (X) event for each call. This environment's calls use tid 0, and any
+ * parallel threads that were recorded are included with tids counting up from 1, in the order
+ * that they are found. Each thread is also named with a metadata event, after its thread id and
+ * the ids of the threads that started it, as in 'thread 2.1' for thread 1 started from thread 2.
+ * @param pid The process id to use for every event
+ * @param label Name for this environment's thread
+ * @param ids Counter for the tids given out so far, only passed when exporting nested threads
+ * @return Array of trace events
+ */
+fmp.$get_trace_events = function(pid, label, ids) {
+	var events = [];
+	var time = now();
+
+	ids = ids || {next : 0};
+	var tid = ids.next++;
+
+	events.push({name : 'thread_name', ph : 'M', pid : pid, tid : tid, args : {name : label}});
+
+	function event_helper(ctx, chain) {
+		for (; ctx !== null; ctx = ctx.next) {
+			if (ctx instanceof ContextHead)
+				continue;
+
+			events.push({
+				name : ctx.name,
+				cat : 'flux-link',
+				ph : 'X',
+				ts : ctx.start * 1e3,
+				dur : ((ctx.end !== undefined ? ctx.end : time) - ctx.start) * 1e3,
+				pid : pid,
+				tid : tid,
+				args : {chain : chain}
+			});
+
+			if (ctx.child !== null)
+				event_helper(ctx.child, ctx.name);
+		}
+	}
+
+	event_helper(this.call_first, null);
+
+	this.threads.forEach(function(thread) {
+		var thread_label = (label == 'main' ? 'thread '+thread.id : label+'.'+thread.id);
+		Array.prototype.push.apply(events, thread.fm.$get_trace_events(pid, thread_label, ids));
+	});
+
+	return events;
+}
+
 /**
  * Formats an execution trace as a call tree, which is sort of the logical inverse of a stack trace,
  * when looked at graphically (i.e. the first function is at the top, rather than at the bottom)
- * @param bt Array Trace information
+ * @param bt Array Trace information, or a trace tree
  * @return String Trace information formatted like a call tree
  */
 fmp.$format_call_tree = function(bt) {
+	if (!Array.isArray(bt))
+		bt = this.$flatten_trace_tree(bt);
+
 	return bt.reduce(function(memo, v) {
 		return memo + '\n' + (new Array(1+v[1]).join('  ')) + v[0];
 	}, '');
@@ -168,12 +519,15 @@ fmp.$format_call_tree = function(bt) {
 /**
  * Format an execution trace (abridged or not) in a manner similar to a stack trace as produced by an
  * Error object.
- * @param bt Array Trace information
+ * @param bt Array Trace information, or a trace tree
  * @return String Trace formatted like a stack trace
  */
 fmp.$format_stack_trace = function(bt) {
 	var depth = 0;
 
+	if (!Array.isArray(bt))
+		bt = this.$flatten_trace_tree(bt);
+
 	return bt.reduceRight(function(memo, v) {
 		if (depth == v[1])
 			loc = 'after ';
@@ -184,20 +538,57 @@ fmp.$format_stack_trace = function(bt) {
 	}, '');
 }
 
+/**
+ * Formats a trace tree like a call tree, with the kind of each call, the type of chain it ran, if
+ * any, and how long it took
+ * @param tree Trace tree from $get_trace_tree()
+ * @return String Trace tree formatted like a call tree, with one call per line
+ */
+fmp.$format_trace_tree = function(tree) {
+	var lines = [];
+
+	function format_helper(nodes, depth) {
+		nodes.forEach(function(node) {
+			var details = node.type ? node.kind+', '+node.type : node.kind;
+			var time = node.end !== null ? (node.end - node.start).toFixed(3)+' ms' : 'running';
+
+			lines.push(new Array(1+depth).join('  ')+node.name+' ('+details+') '+time);
+			format_helper(node.children, depth+1);
+		});
+	}
+
+	format_helper(tree.children, 0);
+	return lines.map(function(line) { return '\n'+line; }).join('');
+}
+
 /**
  * A call context object, which is used to build the call graph for the execution of a chain
  * at run time, this stores a pair of pointers, one to the next call in the list and one to the
  * first child.
  * @param name The name to use when printing this context during a call trace
+ * @param kind The kind of call, for the trace tree
  */
-function Context(name) {
+function Context(name, kind) {
 	this.next = null;
 	this.child = null;
 	this.name = name;
+	this.kind = kind;
+	this.start = now();
+	this.end = undefined;
+	this.threads = null;
 }
 
 var cp = Context.prototype;
 
+/**
+ * Records the time that this call finished, unless it was already recorded
+ * @param time High resolution timestamp, in milliseconds
+ */
+cp.finish = function(time) {
+	if (this.end === undefined)
+		this.end = time;
+}
+
 /**
  * When doing a backtrace traversal, retrieve the context that comes next, after this one,
  * which collapses children of contexts that are not the inner-most, to avoid clutter.
@@ -221,9 +612,11 @@ cp.bt_depth_increase = function() {
 /**
  * Head node for a context list, inserted automatically when a context is pushed onto the stack,
  * to start the list of subcalls within that context
+ * @param type The type of the chain that pushed the context
  */
-function ContextHead() {
+function ContextHead(type) {
 	Context.call(this, '__ContextHead__');
+	this.type = type;
 }
 ContextHead.prototype = new Context();
 ContextHead.prototype.constructor = ContextHead;
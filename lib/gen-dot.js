@@ -74,6 +74,12 @@ module.exports = function(fl) {
 		if (elem instanceof fl.Branch) {
 			return handle_branch(elem, names);
 		}
+		else if (elem instanceof fl.Switch) {
+			return handle_switch(elem, names);
+		}
+		else if (elem instanceof fl.RetryChain) {
+			return handle_retry(elem, names);
+		}
 		else if (elem instanceof fl.ParallelChain) {
 			return handle_parallel(elem, names);
 		}
@@ -115,6 +121,44 @@ module.exports = function(fl) {
 		return [builder, cond[1], terminator];
 	}
 
+	/**
+	 * Handle a switch, which is like a branch, except with an edge for each case
+	 * labelled with its key, plus the default
+	 * @param elem The switch element
+	 * @param names The hash table of names we've seen
+	 * @return Standard triple of [strings, first element, last element]
+	 */
+	function handle_switch(elem, names) {
+		var selector = _dot_inner(elem.selector.fn, false, names);
+		var terminator = hash_name_get({name : 'switch_end'}, names);
+		var builder = [];
+		var node;
+
+		Array.prototype.push.apply(builder, selector[0]);
+		builder.push(selector[2]+' [shape=Mdiamond];');
+
+		for (var key in elem.cases) {
+			node = _dot_inner(elem.cases[key].fn, false, names);
+			Array.prototype.push.apply(builder, node[0]);
+			builder.push(selector[2]+' -> '+node[1]+' [label = '+format_label(key)+'];');
+			builder.push(node[2]+' -> '+terminator+';');
+		}
+
+		// Without a default, unmatched keys go straight to the end
+		if (elem.default_case) {
+			node = _dot_inner(elem.default_case.fn, false, names);
+			Array.prototype.push.apply(builder, node[0]);
+			builder.push(selector[2]+' -> '+node[1]+' [label = default, style = dashed];');
+			builder.push(node[2]+' -> '+terminator+';');
+		}
+		else {
+			builder.push(selector[2]+' -> '+terminator+' [label = default, style = dashed];');
+		}
+
+		builder.push(terminator+' [shape=octagon];');
+		return [builder, selector[1], terminator];
+	}
+
 	/**
 	 * Handle a parallel chain, which inserts head and footer nodes around
 	 * the functions in the middle
@@ -140,9 +184,26 @@ module.exports = function(fl) {
 		return [builder, phead, ptail];
 	}
 
+	/**
+	 * Handle a retry chain, which is just its body with an extra edge going back
+	 * to the start of the body, to show that it may be repeated
+	 * @param elem The retry chain to describe in DOT
+	 * @param names The hash table of functions and their names
+	 * @return Standard triple of [strings, first element, last element]
+	 */
+	function handle_retry(elem, names) {
+		var body = _dot_inner(elem.body.fn, false, names);
+		var builder = [];
+
+		Array.prototype.push.apply(builder, body[0]);
+		builder.push(body[2]+' -> '+body[1]+' [label = retry, style = dashed];');
+		return [builder, body[1], body[2]];
+	}
+
 	/**
 	 * Handle a loop chain, which is a lot like a serial chain but with a starter
-	 * condition node on top
+	 * condition node on top, and the initializer before that, if there is one.
+	 * A do-while loop is entered at the top of its body instead.
 	 * @param elem The loop chain to describe in DOT
 	 * @param names The hash table of functions and their names
 	 * @return Standard triple of [strings, first element, last element]
@@ -152,6 +213,8 @@ module.exports = function(fl) {
 		var node1 = _dot_inner(elem.fns[0].fn, false, names);
 		var builder = [];
 		var node2 = node1;
+		var entry = elem.do_while ? node1[1] : cond[1];
+		var init;
 
 		Array.prototype.push.apply(builder, cond[0]);
 		Array.prototype.push.apply(builder, node1[0]);
@@ -166,7 +229,15 @@ module.exports = function(fl) {
 		}
 
 		builder.push(node2[2]+' -> '+cond[1]+';');
-		return [builder, cond[1], cond[2]];
+
+		if (elem.init) {
+			init = _dot_inner(elem.init.fn, false, names);
+			Array.prototype.push.apply(builder, init[0]);
+			builder.push(init[2]+' -> '+entry+';');
+			entry = init[1];
+		}
+
+		return [builder, entry, cond[2]];
 	}
 
 	/**
@@ -195,7 +266,7 @@ module.exports = function(fl) {
 		}
 
 		Array.prototype.push.apply(builder, node1[0]);
-		return [builder, first[1], node2[2]];
+		return [builder, first[1], node1[2]];
 	}
 
 	/**
@@ -243,4 +314,13 @@ module.exports = function(fl) {
 		return name.replace(/[ \(\)]/g, '_');
 	}
 
+	/**
+	 * Formats an arbitrary string as a quoted label for an edge
+	 * @param label The label text
+	 * @return String the quoted label
+	 */
+	function format_label(label) {
+		return '"'+String(label).replace(/(["\\])/g, '\\$1')+'"';
+	}
+
 };
@@ -10,11 +10,15 @@
  * Retrieves the name for a function, using fn.name to determine what it is, or if no
  * name is given (i.e. an anonymous function), returns altname. If altname is ALSO not
  * given, returns (anonymous), as a final default value.
+ * Internal wrappers that set fn.wraps are looked through, so that they report the name of
+ * the function that they wrap instead of their own.
  * @param fn Function whose name we want to find
  * @param altname Optional string, name to use if the function was anonymous
  * @return String name of the function
  */
 module.exports.fname = function(fn, altname) {
+	if (fn.wraps)
+		return module.exports.fname(fn.wraps, altname);
 	if (fn.name)
 		return fn.name;
 	if (altname)
@@ -31,11 +35,26 @@ module.exports.fname = function(fn, altname) {
  * @return bool True if this function name should not be pushed
  */
 module.exports.hide_function = function(name) {
-	if (name == '__after_glue' || name == '__chain_inner')
-		return true;
+	switch (name) {
+		case '__after_glue':
+		case '__chain_inner':
+		case '__attempt_after':
+		case '__finally_after':
+			return true;
+	}
 	return false;
 }
 
+/**
+ * Checks if a value is a thenable (a promise or something that behaves like one), which
+ * is how we recognize steps that return a promise instead of calling after()
+ * @param value The value to test
+ * @return bool True if value has a callable then() method
+ */
+module.exports.is_thenable = function(value) {
+	return value !== null && value !== undefined && typeof value.then == 'function';
+}
+
 /**
  * Noop function, used when I need a function for consistency of interface but none
  * was supplied by the user (and when it isn't a critical failure for them to not
@@ -15,264 +15,585 @@
  */
 function gen_patterns(fl, patterns) {
 	/**
-	 * Maps each element of the input array/object to a new value through the fn given
-	 * (it can be a chain), and then passes the result as the first argument to cb. This
-	 * a parallel map, because that is the best kind of map.
+	 * Lists the keys and values of a collection in iteration order, so that every pattern can
+	 * treat arrays, plain objects, Maps, and Sets the same way. Array keys are their indices,
+	 * object keys come from Object.keys(), and, like Set.prototype.forEach(), the key for each
+	 * element of a Set is the element itself.
+	 * @param coll The collection to list
+	 * @return Object with the type of collection, its keys, its values, and the collection itself
+	 */
+	function collect(coll) {
+		var items = {type : 'object', keys : [], values : [], list : coll};
+
+		if (coll instanceof Array) {
+			items.type = 'array';
+			for (var i = 0; i < coll.length; ++i) {
+				items.keys.push(i);
+				items.values.push(coll[i]);
+			}
+		}
+		else if (is_map(coll) || is_set(coll)) {
+			items.type = is_map(coll) ? 'map' : 'set';
+			coll.forEach(function(v, k) {
+				items.keys.push(k);
+				items.values.push(v);
+			});
+		}
+		else {
+			items.keys = Object.keys(coll);
+			items.values = items.keys.map(function(k) {
+				return coll[k];
+			});
+		}
+
+		return items;
+	}
+
+	/**
+	 * Builds a new collection with the same shape as the one that was collected, using the
+	 * original keys with new values, and optionally leaving some of the elements out. Arrays
+	 * are compacted, so the elements that are kept get new indices.
+	 * @param items The result of collect() for the original collection
+	 * @param values Array of the new values, in the same order as items.values
+	 * @param keep Optional array, where only the elements with a truthy entry are kept
+	 * @return New array, object, Map, or Set, whichever the original was
+	 */
+	function rebuild(items, values, keep) {
+		var result;
+
+		if (items.type == 'array')
+			result = [];
+		else if (items.type == 'map')
+			result = new Map();
+		else if (items.type == 'set')
+			result = new Set();
+		else
+			result = {};
+
+		for (var i = 0; i < items.keys.length; ++i) {
+			if (keep && !keep[i])
+				continue;
+
+			if (items.type == 'array')
+				result.push(values[i]);
+			else if (items.type == 'map')
+				result.set(items.keys[i], values[i]);
+			else if (items.type == 'set')
+				result.add(values[i]);
+			else
+				result[items.keys[i]] = values[i];
+		}
+
+		return result;
+	}
+
+	function is_map(coll) {
+		return typeof Map == 'function' && coll instanceof Map;
+	}
+
+	function is_set(coll) {
+		return typeof Set == 'function' && coll instanceof Set;
+	}
+
+	/**
+	 * Checks if a value should be consumed as an iterator rather than collected up front, which
+	 * is the case for async iterables (including Node Readable streams), generators, and other
+	 * iterables that aren't one of the collection types
+	 * @param coll The value to test
+	 * @return bool True if the value should be iterated over lazily
+	 */
+	function is_iterator(coll) {
+		if (typeof Symbol != 'function' || coll === null || typeof coll != 'object')
+			return false;
+		if (coll instanceof Array || is_map(coll) || is_set(coll))
+			return false;
+		return typeof coll[Symbol.asyncIterator] == 'function' || typeof coll[Symbol.iterator] == 'function';
+	}
+
+	/**
+	 * Opens a source for a pattern to pull elements from, one at a time. Collections are listed
+	 * with collect() first, but iterators are only advanced as elements are needed, so they do not
+	 * have to fit into memory. The key of an element from an iterator is the same as its index.
+	 * @param coll The collection, iterable, async iterable, or stream to read from
+	 * @return Object with the collected items (null for iterators), the original list, and methods
+	 *         next(env, cb), which calls cb(done, value, key, index), and close(), which stops an
+	 *         iterator that hasn't finished yet
+	 */
+	function open(coll) {
+		var items = null;
+		var it = null;
+		var async = false;
+		var finished = false;
+		var index = 0;
+
+		if (is_iterator(coll)) {
+			async = typeof coll[Symbol.asyncIterator] == 'function';
+			it = async ? coll[Symbol.asyncIterator]() : coll[Symbol.iterator]();
+		}
+		else {
+			items = collect(coll);
+		}
+
+		function result(i, r) {
+			finished = !!r.done;
+			return [finished, r.value, i, i];
+		}
+
+		return {
+			items : items,
+			list : coll,
+			next : function(env, cb) {
+				var i = index++;
+				var r;
+
+				if (items) {
+					if (i < items.keys.length)
+						cb(false, items.values[i], items.keys[i], i);
+					else
+						cb(true);
+					return;
+				}
+
+				try {
+					r = it.next();
+				}
+				catch (e) {
+					finished = true;
+					env.$throw(e);
+					return;
+				}
+
+				if (async) {
+					r.then(function(r) {
+						cb.apply(null, result(i, r));
+					}, function(err) {
+						finished = true;
+						env.$throw(err);
+					});
+				}
+				else {
+					cb.apply(null, result(i, r));
+				}
+			},
+			close : function() {
+				var r;
+				if (it && !finished && typeof it.return == 'function') {
+					finished = true;
+					r = it.return();
+					if (r && typeof r.then == 'function')
+						r.then(null, function() {});
+				}
+			}
+		};
+	}
+
+	/**
+	 * Runs step for each element of a source in turn, inside of a loop chain. The source is closed
+	 * when the loop exits, however that happens. Unless signals is true, the loop is hidden from
+	 * env.$break(), env.$continue(), and env.$iteration, so that they apply to the caller's loop.
+	 * @param env The environment to run in
+	 * @param after Callback for once every element has been visited (or the loop was left)
+	 * @param src The source, from open()
+	 * @param step Function with (env, after, value, key, index) for a signature, which calls after(true) to stop reading, or after() to go on
+	 * @param signals True if env.$break() and env.$continue() inside of step should apply to this loop
+	 */
+	function drain(env, after, src, step, signals) {
+		var current = null;
+		var stopped = false;
+
+		function __next(env, after) {
+			if (stopped) {
+				after(false);
+				return;
+			}
+
+			src.next(env, function(done, value, key, index) {
+				current = {value : value, key : key, index : index};
+				after(!done);
+			});
+		}
+
+		function __step(env, after) {
+			step(env, function(stop) {
+				stopped = !!stop;
+				after();
+			}, current.value, current.key, current.index);
+		}
+
+		var lc = new fl.LoopChain();
+		lc.set_loop_signals(!!signals);
+		lc.set_cond(__next);
+		lc.push(__step);
+		lc.set_finally_handler(function(env, after) {
+			src.close();
+			after();
+		});
+		lc.call(null, env, after);
+	}
+
+	/**
+	 * Builds a parallel chain that runs the same worker once for each element of a collection
+	 * @param worker The function that each thread runs, which uses its thread id to find its element
+	 * @param count The number of elements in the collection
+	 * @param limit The maximum number of workers that may run at once, or 0 for no limit
+	 * @return ParallelChain ready to be called with the worker's arguments
+	 */
+	function parallel(worker, count, limit) {
+		var chain = new fl.ParallelChain();
+		for (var i = 0; i < count; ++i) {
+			chain.push(worker);
+		}
+		chain.set_concurrency(limit || 0);
+		return chain;
+	}
+
+	/**
+	 * Parallel patterns (and a few serial ones) need to know every element up front, so they
+	 * can't be used on iterators
+	 * @param src The source, from open()
+	 * @return The collected items for the source
+	 */
+	function need_items(src) {
+		if (src.items === null)
+			throw new Error('This pattern needs an array, object, Map, or Set; use a serial pattern for iterators and streams');
+		return src.items;
+	}
+
+	/**
+	 * Prepares a callback given to a pattern. Functions are called with every argument that the
+	 * pattern offers, and they can simply ignore the ones they don't declare, but a chain pushes the
+	 * arguments that its first function doesn't take onto the stack. So, like any other step, a
+	 * chain is only given as many arguments as its length asks for, but always at least min.
+	 * @param fn The callback, which is either a function or a chain
+	 * @param min The number of arguments every callback needs, such as the value for map
+	 * @return Function to call in place of fn, with the same signature
+	 */
+	function callback(fn, min) {
+		if (!(fn instanceof fl.ChainBase))
+			return fn;
+
+		return function(env, after) {
+			var count = Math.max(fn.length || 0, min);
+			fn.apply(this, Array.prototype.slice.call(arguments, 0, count + 2));
+		};
+	}
+
+	/**
+	 * Builds the parallel mapping used by most of the patterns, which calls fn for every element
+	 * of a collection at once and then passes the array of results and the array of values, both
+	 * in collection order, to after
+	 * @param fn The function to call, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The this argument with which to call the function
+	 * @param limit The maximum number of calls that may run at once, or 0 for no limit
+	 * @return Function that runs the mapping, given (env, after, src) with src from open()
+	 */
+	function parallel_map(fn, ctx, limit) {
+		ctx = ctx || null;
+		fn = callback(fn, 1);
+
+		// This actually does the work of mapping each element to a new one
+		function __map(lenv, after, items) {
+			var i = lenv._thread_id;
+			fn.call(ctx, lenv, after, items.values[i], items.keys[i], i, items.list);
+		}
+
+		return function(env, after, src) {
+			var items = need_items(src);
+			var count = items.keys.length;
+
+			// Create chain with a bunch of parallel map calls, one per item. If none of them produce
+			// results, the parallel chain doesn't make an array, so use an empty one
+			parallel(__map, count, limit).call(null, env, function(results) {
+				after(results || new Array(count), items.values);
+			}, items);
+		};
+	}
+
+	/**
+	 * Builds the serial version of parallel_map(), which calls fn for one element at a time. This
+	 * also works with iterators, since the values are saved as they are read.
+	 * @param fn The function to call, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The this argument with which to call the function
+	 * @return Function that runs the mapping, given (env, after, src) with src from open()
+	 */
+	function serial_map(fn, ctx) {
+		ctx = ctx || null;
+		fn = callback(fn, 1);
+
+		return function(env, after, src) {
+			var results = [];
+			var values = [];
+
+			drain(env, function() {
+				after(results, values);
+			}, src, function(env, after, value, key, index) {
+				values[index] = value;
+				fn.call(ctx, env, function __save(res) {
+					results[index] = res;
+					after();
+				}, value, key, index, src.list);
+			});
+		};
+	}
+
+	/**
+	 * Shapes the results of a mapping like the source, which for an iterator is an array
+	 * @param src The source, from open()
+	 * @param results The results, in source order
+	 * @return Collection of results
+	 */
+	function mapped(src, results) {
+		if (src.items)
+			return rebuild(src.items, results);
+		return results;
+	}
+
+	/**
+	 * Keeps only the values of the source with a truthy result, in the shape of the source
+	 * @param src The source, from open()
+	 * @param values The values, in source order
+	 * @param keep The results of the truth test, in source order
+	 * @return Collection of the values that were kept
+	 */
+	function filtered(src, values, keep) {
+		if (src.items)
+			return rebuild(src.items, values, keep);
+		return values.filter(function(v, i) {
+			return keep[i];
+		});
+	}
+
+	/**
+	 * Maps each element of the input collection to a new value through the fn given
+	 * (it can be a chain), and then passes the result as the first argument to cb. The result
+	 * has the same shape as the input, so an object produces an object with the same keys,
+	 * and so on. This a parallel map, because that is the best kind of map.
 	 * @param fn The function to use to do the mapping, must have (env, after, value, key, index, list) for a signature
 	 * @param ctx The this argument with which to call the function during mapping
 	 * @return Chain-ready function that can be used to do array/object mapping
 	 */
 	patterns['map'] = function(fn, ctx) {
-		ctx = ctx || null;
-	
-		// This actually does the work of mapping each element to a new one
-		function __map(lenv, after, keys, orig_arr) {
-			fn.call(ctx, lenv, after, orig_arr[keys[lenv._thread_id]], keys[lenv._thread_id], lenv._thread_id, orig_arr);
-		}
+		var run = parallel_map(fn, ctx);
 
 		// We return a function that can be placed directly into a chain
 		return function map(env, after, arr) {
-			var keys = Object.keys(arr);
+			var src = open(arr);
+			run(env, function(results) {
+				after(mapped(src, results));
+			}, src);
+		};
+	};
 
-			// Create chain with a bunch of parallel map calls, one per item
-			var chain = new fl.ParallelChain();
-			for (var i = 0; i < keys.length; ++i) {
-				chain.push(__map);
-			}
-	
-			// Call the chain, and the results will be passed forward as the first argument to after
-			chain.call(null, env, after, keys, arr);
+	/**
+	 * Works the same way as map, except that at most limit elements are mapped at once, with
+	 * the rest started as earlier ones finish
+	 * @param limit The maximum number of calls to fn that may be running at the same time
+	 * @param fn The function to use to do the mapping, must have (env, after, value, key, index, list) for a signature
+	 * @param ctx The this argument with which to call the function during mapping
+	 * @return Chain-ready function that can be used to do array/object mapping
+	 */
+	patterns['mapLimit'] = function(limit, fn, ctx) {
+		var run = parallel_map(fn, ctx, limit);
+
+		return function mapLimit(env, after, arr) {
+			var src = open(arr);
+			run(env, function(results) {
+				after(mapped(src, results));
+			}, src);
 		};
 	};
 
 	/**
-	 * Maps each element of the input array/object to a new value through the given fn,
+	 * Maps each element of the input collection to a new value through the given fn,
 	 * which can be a chain, and then passes the result as the first argument to the callback.
-	 * This is a serial map, because sometimes that's how you want it to be.
+	 * This is a serial map, because sometimes that's how you want it to be. It also accepts
+	 * iterators, async iterables, and streams, in which case it produces an array.
 	 * @param fn The function to use the mapping, must have (env, after, value, key, index, list) for a signature
 	 * @param ctx The this argument with which to call the function during mapping
 	 * @return Chain-ready function that can be used to do array/object mapping
 	 */
 	patterns['smap'] = function(fn, ctx) {
-		ctx = ctx || null;
+		var run = serial_map(fn, ctx);
 
 		// We return a function that can be placed directly into a chain
 		return function smap(env, after, arr) {
-			var result = new Array(arr.length);
-			var keys = Object.keys(arr);
-			var i = 0;
-
-			function __check(env, after) {
-				if (i < result.length)
-					after(true);
-				else
-					after(false, result);
-			};
-
-			function __map(env, after) {
-				fn.call(ctx, env, after, arr[keys[i]], keys[i], i, arr);
-			};
-
-			function __save(env, after, res) {
-				result[i] = res;
-				i += 1;
-				after();
-			}
-
-			var lc = new fl.LoopChain();
-			lc.set_cond(__check);
-			lc.push(__map);
-			lc.push(__save);
-			lc.call(null, env, after);
+			var src = open(arr);
+			run(env, function(results) {
+				after(mapped(src, results));
+			}, src);
 		};
 	};
 
 	/**
-	 * Filters the given input array/object, returning only those values which pass a truth
-	 * test. This can be embedded in a chain, just like map can be.
-	 * @param fn The function to use for filtering
+	 * Filters the given input collection, returning only those values which pass a truth
+	 * test, in a collection of the same shape. This can be embedded in a chain, just like map can be.
+	 * @param fn The function to use for filtering, with (env, after, value, key, index, list) for a signature
 	 * @param ctx The thisarg for the filtering function, defaults to null
 	 */
 	patterns['filter'] = function(fn, ctx) {
-		ctx = ctx || null;
-
-		// Actual function that does the filtering
-		function __filter(lenv, after, keys, orig_arr, result) {
-			var k = keys[lenv._thread_id];
-			var v = orig_arr[k];
-			function __f2(inc) {
-				if (inc)
-					result.push(v);
-				after();
-			}
-			fn.call(ctx, lenv, __f2, v, k, orig_arr);
-		}
+		var run = parallel_map(fn, ctx);
 
 		// Chain-embeddable function
 		return function filter(env, after, arr) {
-			var keys = Object.keys(arr);
-			var filtered = [];
-
-			// Like with map, push an instance of the filter worker per item in the array
-			var pchain = new fl.ParallelChain();
-			for (var i = 0; i < keys.length; ++i) {
-				pchain.push(__filter);
-			}
+			var src = open(arr);
+			run(env, function(results, values) {
+				after(filtered(src, values, results));
+			}, src);
+		};
+	};
 
-			// But we have to wrap it in a serial chain that'll forward the result
-			var chain = new fl.Chain(pchain,
-				function (env, after) {
-					after(filtered);
-				});
+	/**
+	 * Works the same way as filter, except that at most limit elements are tested at once
+	 * @param limit The maximum number of calls to fn that may be running at the same time
+	 * @param fn The function to use for filtering, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the filtering function, defaults to null
+	 */
+	patterns['filterLimit'] = function(limit, fn, ctx) {
+		var run = parallel_map(fn, ctx, limit);
 
-			chain.call(null, env, after, keys, arr, filtered);
+		return function filterLimit(env, after, arr) {
+			var src = open(arr);
+			run(env, function(results, values) {
+				after(filtered(src, values, results));
+			}, src);
 		};
 	};
 
 	/**
-	 * Filters the given input array/object, only returning those values which pass a truth
-	 * test. This tests each element of the given array in series, instead of allowing for
+	 * Filters the given input collection, only returning those values which pass a truth
+	 * test. This tests each element of the given collection in series, instead of allowing for
 	 * a parallel run.
-	 * @param fn The function to use for filtering
+	 * @param fn The function to use for filtering, with (env, after, value, key, index, list) for a signature
 	 * @param ctx The thisarg for the filtering function, which defaults to null
 	 */
 	patterns['sfilter'] = function(fn, ctx) {
-		ctx = ctx || null;
+		var run = serial_map(fn, ctx);
 
 		return function sfilter(env, after, arr) {
-			var keys = Object.keys(arr);
-			var filtered = [];
-			var i = 0;
-
-			function __check(env, after) {
-				if (i < keys.length)
-					after(true);
-				else
-					after(false, filtered);
-			};
-
-			function __filter(env, after) {
-				var k = keys[i];
-				fn.call(ctx, env, after, arr[k], k, arr);
-			};
-
-			function __save(env, after, test) {
-				if (test)
-					filtered.push(arr[keys[i]]);
-				i += 1;
-				after();
-			}
-
-			var chain = new fl.LoopChain();
-			chain.set_cond(__check);
-			chain.push(__filter);
-			chain.push(__save);
-			chain.call(null, env, after);
+			var src = open(arr);
+			run(env, function(results, values) {
+				after(filtered(src, values, results));
+			}, src);
 		};
 	};
 
 	/**
-	 * Calls the function with each element in the given array, but produces no output. Any
+	 * Calls the function with each element in the given collection, but produces no output. Any
 	 * arguments passed to the callback are ignored
-	 * @param fn The function to call on each element
+	 * @param fn The function to call on each element, with (env, after, value, key, index, list) for a signature
 	 * @param ctx The thisarg for the aforementioned function, defaults to null
 	 */
 	patterns['each'] = function(fn, ctx) {
-		ctx = ctx || null;
-
-		function __each(env, after, keys, orig_arr) {
-			var key = keys[env._thread_id];
-			fn.call(ctx, env, after, orig_arr[key], key, orig_arr);
-		};
+		var run = parallel_map(fn, ctx);
 
 		// Chain-embeddable each function
 		return function each(env, after, arr) {
-			var keys = Object.keys(arr);
+			run(env, function() {
+				after();
+			}, open(arr));
+		};
+	};
 
-			var chain = new fl.ParallelChain();
-			for (var i = 0; i < keys.length; ++i) {
-				chain.push(__each);
-			}
+	/**
+	 * Works the same way as each, except that at most limit elements are visited at once
+	 * @param limit The maximum number of calls to fn that may be running at the same time
+	 * @param fn The function to call on each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the aforementioned function, defaults to null
+	 */
+	patterns['eachLimit'] = function(limit, fn, ctx) {
+		var run = parallel_map(fn, ctx, limit);
 
-			chain.call(null, env, after, keys, arr);
+		return function eachLimit(env, after, arr) {
+			run(env, function() {
+				after();
+			}, open(arr));
 		};
 	};
 
 	/**
-	 * Calls the function with each element in the given array, but produces no output. Unlike
-	 * the parallel version, this ensures serial processing of the array via the callbacks
-	 * @param fn The function to call on each element
+	 * Calls the function with each element in the given collection, but produces no output. Unlike
+	 * the parallel version, this ensures serial processing of the collection via the callbacks
+	 * @param fn The function to call on each element, with (env, after, value, key, index, list) for a signature
 	 * @param ctx The thisarg for the aforementioned function, defaults to null
 	 */
 	patterns['seach'] = function(fn, ctx) {
 		ctx = ctx || null;
+		fn = callback(fn, 1);
 
 		// Chain-embeddable result!
 		return function seach(env, after, arr) {
-			var keys = Object.keys(arr);
-			var i = 0;
-
-			function __check(env, after) {
-				after(i < keys.length);
-			};
-
-			function __each(env, after) {
-				var key = keys[i];
-				i += 1;
-				fn.call(ctx, env, after, arr[key], key, arr);
-			}
+			var src = open(arr);
+			drain(env, function() {
+				after();
+			}, src, function(env, after, value, key, index) {
+				fn.call(ctx, env, function() {
+					after();
+				}, value, key, index, arr);
+			});
+		};
+	};
 
-			var chain = new fl.LoopChain();
-			chain.set_cond(__check);
-			chain.push(__each);
+	/**
+	 * Consumes an async iterable, stream, generator, or collection one element at a time, like a
+	 * for await...of loop. Inside of fn, env.$break() stops reading, which also closes the source,
+	 * and env.$continue() moves on to the next element. Produces no output.
+	 * @param fn The function to call on each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the aforementioned function, defaults to null
+	 */
+	patterns['forAwait'] = function(fn, ctx) {
+		ctx = ctx || null;
+		fn = callback(fn, 1);
 
-			chain.call(null, env, after);
+		return function forAwait(env, after, source) {
+			var src = open(source);
+			drain(env, function() {
+				after();
+			}, src, function(env, after, value, key, index) {
+				fn.call(ctx, env, function() {
+					after();
+				}, value, key, index, source);
+			}, true);
 		};
 	};
 
 	/**
-	 * Reduces the elements in the array/object to a single value by repeated callback
-	 * application.
-	 * @param fn The function to use for reduction
+	 * Reduces the elements in the collection, iterator, or stream to a single value by repeated
+	 * callback application.
+	 * @param fn The function to use for reduction, with (env, after, memo, value, key, index, list) for a signature
 	 * @param ctx The thisarg for that function, defaults to null
 	 */
 	patterns['reduce'] = function(fn, ctx) {
 		ctx = ctx || null;
+		fn = callback(fn, 2);
 
 		return function reduce(env, after, arr, initial) {
-			var keys = Object.keys(arr);
-			var i = -1;
-
-			function __check(env, after, memo) {
-				i += 1;
-				after(i < keys.length, memo);
-			};
+			var memo = initial;
 
-			function __reduce(env, after, memo) {
-				var key = keys[i];
-				fn.call(ctx, env, after, memo, arr[key], key, arr);
-			};
-
-			var chain = new fl.LoopChain();
-			chain.set_cond(__check);
-			chain.push(__reduce);
-			chain.call(null, env, after, initial);
+			drain(env, function() {
+				after(memo);
+			}, open(arr), function(env, after, value, key, index) {
+				fn.call(ctx, env, function(result) {
+					memo = result;
+					after();
+				}, memo, value, key, index, arr);
+			});
 		};
 	};
 
 	/**
-	 * Reduces the elements in the array/object to a single value by repeated callback
+	 * Reduces the elements in the collection to a single value by repeated callback
 	 * application, but it starts at the "right side"--that is, the last element, and
 	 * works backwards
-	 * @param fn The function to use for reduction
+	 * @param fn The function to use for reduction, with (env, after, memo, value, key, index, list) for a signature
 	 * @param ctx The thisarg for that function, defaults to null
 	 */
 	patterns['reduceRight'] = function(fn, ctx) {
 		ctx = ctx || null;
+		fn = callback(fn, 2);
 
 		return function reduce(env, after, arr, initial) {
-			var keys = Object.keys(arr);
-			var i = keys.length;
+			var items = need_items(open(arr));
+			var i = items.keys.length;
 
 			function __check(env, after, memo) {
 				i -= 1;
@@ -280,16 +601,450 @@ function gen_patterns(fl, patterns) {
 			};
 
 			function __reduce(env, after, memo) {
-				var key = keys[i];
-				fn.call(ctx, env, after, memo, arr[key], key, arr);
+				fn.call(ctx, env, after, memo, items.values[i], items.keys[i], i, items.list);
 			};
 
 			var chain = new fl.LoopChain();
+			chain.set_loop_signals(false);
 			chain.set_cond(__check);
 			chain.push(__reduce);
 			chain.call(null, env, after, initial);
 		};
 	};
+
+	/**
+	 * Splits the values in the collection into chunks of at most size elements and hands each
+	 * chunk to the function in turn, so that work can be done in bulk, for instance with one
+	 * query per chunk. The chunks are processed serially, and whatever the function passes to
+	 * after() for each chunk is collected into an array, in the same way as smap.
+	 * @param size The maximum number of elements in each chunk, which must be a positive integer
+	 * @param fn The function to call on each chunk, with (env, after, chunk, key, index, chunks) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['batch'] = function(size, fn, ctx) {
+		if (typeof size != 'number' || size < 1 || size % 1 !== 0)
+			throw new Error('batch() needs a positive integer chunk size, but got '+size);
+
+		var __batch = patterns.smap(fn, ctx);
+
+		return function batch(env, after, arr) {
+			var values = need_items(open(arr)).values;
+			var chunks = [];
+
+			for (var i = 0; i < values.length; i += size) {
+				chunks.push(values.slice(i, i + size));
+			}
+
+			__batch(env, after, chunks);
+		};
+	};
+
+	/**
+	 * Builds a parallel search over a collection, which tests every element with fn at once, but
+	 * passes an answer on as soon as one of the results decides it. The other threads are then
+	 * cancelled, and anything that they produce afterwards is ignored.
+	 * @param fn The test function, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function
+	 * @param match Function that decides if a result from fn ends the search
+	 * @param found Function given (value, key, index) for the deciding element that produces the answer
+	 * @param missing The answer if no result decides the search
+	 * @return Function that runs the search, given (env, after, arr)
+	 */
+	function parallel_search(fn, ctx, match, found, missing) {
+		ctx = ctx || null;
+		fn = callback(fn, 1);
+
+		return function(env, after, arr) {
+			var items = need_items(open(arr));
+			var answer = missing;
+			var done = false;
+			var signal = {};
+
+			// Deciding results are thrown, because fail_fast mode stops the other threads for us
+			function __search(lenv, after, items) {
+				var i = lenv._thread_id;
+				var k = items.keys[i];
+				var v = items.values[i];
+				fn.call(ctx, lenv, function __test(result) {
+					if (!match(result)) {
+						after();
+					}
+					else if (!done) {
+						done = true;
+						answer = found(v, k, i);
+						lenv.$throw(signal);
+					}
+				}, v, k, i, items.list);
+			}
+
+			var chain = new fl.Chain(parallel(__search, items.keys.length).set_failure_mode('fail_fast'));
+			chain.set_exception_handler(function(env, err) {
+				if (err === signal)
+					env.$catch();
+				else
+					env.$throw(err);
+			});
+			chain.call(null, env, function() {
+				after(answer);
+			}, items);
+		};
+	}
+
+	/**
+	 * Builds a serial search over a collection or iterator, which tests one element at a time and
+	 * stops as soon as a result decides the answer. Parameters are the same as for parallel_search()
+	 * @return Function that runs the search, given (env, after, arr)
+	 */
+	function serial_search(fn, ctx, match, found, missing) {
+		ctx = ctx || null;
+		fn = callback(fn, 1);
+
+		return function(env, after, arr) {
+			var answer = missing;
+
+			drain(env, function() {
+				after(answer);
+			}, open(arr), function(env, after, v, k, i) {
+				fn.call(ctx, env, function __test(result) {
+					if (match(result)) {
+						answer = found(v, k, i);
+						after(true);
+					}
+					else {
+						after();
+					}
+				}, v, k, i, arr);
+			});
+		};
+	}
+
+	// Deciding results and answers for the search patterns
+	function is_true(result) { return !!result; }
+	function is_false(result) { return !result; }
+	function found_true() { return true; }
+	function found_false() { return false; }
+	function found_value(v) { return v; }
+	function found_index(v, k, i) { return i; }
+
+	/**
+	 * Tests the elements of the array/object in parallel, passing true forward as soon as the
+	 * function produces a truthy result for one of them, or false if it never does
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['some'] = function(fn, ctx) {
+		var search = parallel_search(fn, ctx, is_true, found_true, false);
+		return function some(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of some, which tests one element at a time, in order
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['ssome'] = function(fn, ctx) {
+		var search = serial_search(fn, ctx, is_true, found_true, false);
+		return function ssome(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Tests the elements of the array/object in parallel, passing false forward as soon as the
+	 * function produces a falsy result for one of them, or true if it never does
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['every'] = function(fn, ctx) {
+		var search = parallel_search(fn, ctx, is_false, found_false, true);
+		return function every(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of every, which tests one element at a time, in order
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['severy'] = function(fn, ctx) {
+		var search = serial_search(fn, ctx, is_false, found_false, true);
+		return function severy(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Tests the elements of the array/object in parallel, passing forward the first value to
+	 * produce a truthy result, or undefined if none do. Since the tests run in parallel, the value
+	 * is the first one found, which isn't necessarily the first one in the collection; use sfind
+	 * if the order matters.
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['find'] = function(fn, ctx) {
+		var search = parallel_search(fn, ctx, is_true, found_value, undefined);
+		return function find(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of find, which passes forward the first matching value in order
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['sfind'] = function(fn, ctx) {
+		var search = serial_search(fn, ctx, is_true, found_value, undefined);
+		return function sfind(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Like find, but passes forward the index of the value that was found, or -1 if none was
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['findIndex'] = function(fn, ctx) {
+		var search = parallel_search(fn, ctx, is_true, found_index, -1);
+		return function findIndex(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of findIndex, which passes forward the index of the first matching value
+	 * @param fn The function to test each element, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for the test function, defaults to null
+	 */
+	patterns['sfindIndex'] = function(fn, ctx) {
+		var search = serial_search(fn, ctx, is_true, found_index, -1);
+		return function sfindIndex(env, after, arr) {
+			search(env, after, arr);
+		};
+	};
+
+	/**
+	 * Builds a pattern that maps every element of a collection through fn, using the given map
+	 * pattern, and then combines the results with the original values into a new shape
+	 * @param map The mapping to use, from parallel_map() or serial_map()
+	 * @param combine Function given (results, values) in collection order that returns the output
+	 * @return Function that runs the pattern, given (env, after, arr)
+	 */
+	function reshape(map, combine) {
+		return function(env, after, arr) {
+			map(env, function(results, values) {
+				var output;
+
+				// This runs from the map's after(), so an exception has to be passed on by hand
+				try {
+					output = combine(results, values);
+				}
+				catch (e) {
+					env.$throw(e);
+					return;
+				}
+				after(output);
+			}, open(arr));
+		};
+	}
+
+	/**
+	 * Groups values into an object of arrays, keyed by the result produced for each value. The
+	 * object has no prototype, so that keys like '__proto__' and 'hasOwnProperty' are safe to use.
+	 */
+	function combine_group(results, values) {
+		var groups = Object.create(null);
+		values.forEach(function(v, i) {
+			if (!(results[i] in groups))
+				groups[results[i]] = [];
+			groups[results[i]].push(v);
+		});
+		return groups;
+	}
+
+	/**
+	 * Counts the number of values that produced each result, in an object with no prototype,
+	 * for the same reason as combine_group()
+	 */
+	function combine_count(results, values) {
+		var counts = Object.create(null);
+		results.forEach(function(r) {
+			counts[r] = (r in counts ? counts[r] : 0) + 1;
+		});
+		return counts;
+	}
+
+	/**
+	 * Splits values into a pair of arrays, those with truthy results and those without
+	 */
+	function combine_partition(results, values) {
+		var pass = [];
+		var fail = [];
+		values.forEach(function(v, i) {
+			if (results[i])
+				pass.push(v);
+			else
+				fail.push(v);
+		});
+		return [pass, fail];
+	}
+
+	/**
+	 * Flattens the results by one level, so that arrays are spliced into the output
+	 */
+	function combine_flat(results, values) {
+		return results.reduce(function(memo, r) {
+			return memo.concat(r instanceof Array ? r : [r]);
+		}, []);
+	}
+
+	/**
+	 * Sorts the values in ascending order of their results, keeping equal values in their
+	 * original order
+	 */
+	function combine_sort(results, values) {
+		return values.map(function(v, i) {
+			return i;
+		}).sort(function(a, b) {
+			if (results[a] < results[b])
+				return -1;
+			else if (results[a] > results[b])
+				return 1;
+			return a - b;
+		}).map(function(i) {
+			return values[i];
+		});
+	}
+
+	/**
+	 * Groups the values in the array/object by the result that fn produces for each one,
+	 * passing forward an object that maps each result to an array of the values that produced it
+	 * @param fn The function to compute group keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['groupBy'] = function(fn, ctx) {
+		var pattern = reshape(parallel_map(fn, ctx), combine_group);
+		return function groupBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of groupBy
+	 * @param fn The function to compute group keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['sgroupBy'] = function(fn, ctx) {
+		var pattern = reshape(serial_map(fn, ctx), combine_group);
+		return function sgroupBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Counts the values in the array/object by the result that fn produces for each one,
+	 * passing forward an object that maps each result to the number of values that produced it
+	 * @param fn The function to compute count keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['countBy'] = function(fn, ctx) {
+		var pattern = reshape(parallel_map(fn, ctx), combine_count);
+		return function countBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of countBy
+	 * @param fn The function to compute count keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['scountBy'] = function(fn, ctx) {
+		var pattern = reshape(serial_map(fn, ctx), combine_count);
+		return function scountBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Splits the values in the array/object into two arrays, passing forward [pass, fail], where
+	 * pass has the values for which fn produced a truthy result and fail has the rest, each in
+	 * their original order
+	 * @param fn The function to test each value, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['partition'] = function(fn, ctx) {
+		var pattern = reshape(parallel_map(fn, ctx), combine_partition);
+		return function partition(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of partition
+	 * @param fn The function to test each value, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['spartition'] = function(fn, ctx) {
+		var pattern = reshape(serial_map(fn, ctx), combine_partition);
+		return function spartition(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Maps each element of the array/object through fn, which may produce an array of values
+	 * for each one, and passes forward a single array with all of them, in order
+	 * @param fn The function to use for the mapping, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['flatMap'] = function(fn, ctx) {
+		var pattern = reshape(parallel_map(fn, ctx), combine_flat);
+		return function flatMap(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of flatMap
+	 * @param fn The function to use for the mapping, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['sflatMap'] = function(fn, ctx) {
+		var pattern = reshape(serial_map(fn, ctx), combine_flat);
+		return function sflatMap(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Sorts the values in the array/object in ascending order of a sort key that fn computes
+	 * for each one. Each key is only computed once, in parallel, before sorting. The sort is stable.
+	 * @param fn The function to compute sort keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['sortBy'] = function(fn, ctx) {
+		var pattern = reshape(parallel_map(fn, ctx), combine_sort);
+		return function sortBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
+
+	/**
+	 * Serial version of sortBy, which computes the sort keys one at a time
+	 * @param fn The function to compute sort keys, with (env, after, value, key, index, list) for a signature
+	 * @param ctx The thisarg for that function, defaults to null
+	 */
+	patterns['ssortBy'] = function(fn, ctx) {
+		var pattern = reshape(serial_map(fn, ctx), combine_sort);
+		return function ssortBy(env, after, arr) {
+			pattern(env, after, arr);
+		};
+	};
 }
 
 module.exports = gen_patterns;
@@ -0,0 +1,77 @@
+/**
+ * Aggregates the timing information recorded by many environments, so that the steps that take
+ * the most time across a large number of executions can be found
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use granted under the terms of the MIT License. See LICENSE for details.
+ */
+
+// Use the same trick as patterns to hook this into the main lib while getting a reference to it
+module.exports = function(fl) {
+	/**
+	 * A profiler collects the profiles of environments once they have finished, adding up the
+	 * time spent in each step, identified by its name and the name of the chain it belongs to
+	 */
+	function Profiler() {
+		this.steps = {};
+	}
+	var pp = Profiler.prototype;
+
+	/**
+	 * Adds the calls made using an environment to the totals. This should be done once the
+	 * execution is finished, because calls that are still running are only counted up to now.
+	 * @param env The environment to add
+	 */
+	pp.add = function(env) {
+		var steps = this.steps;
+
+		env.$get_profile().forEach(function(call) {
+			var key = call.chain+'\n'+call.name;
+			var step = steps[key];
+
+			if (step === undefined) {
+				step = {chain : call.chain, name : call.name, count : 0, total : 0, self : 0, max : 0};
+				steps[key] = step;
+			}
+
+			step.count += 1;
+			step.total += call.total;
+			step.self += call.self;
+			step.max = Math.max(step.max, call.total);
+		});
+	}
+
+	/**
+	 * Retrieves the totals for every step that has been seen, slowest first
+	 * @return Array of objects with the chain and name of each step, the number of times it ran, and
+	 *         its total, self, mean, and maximum time in milliseconds
+	 */
+	pp.get_results = function() {
+		var steps = this.steps;
+
+		return Object.keys(steps).map(function(key) {
+			var step = steps[key];
+			return {
+				chain : step.chain,
+				name : step.name,
+				count : step.count,
+				total : step.total,
+				self : step.self,
+				mean : step.total / step.count,
+				max : step.max
+			};
+		}).sort(function(a, b) {
+			return b.total - a.total;
+		});
+	}
+
+	/**
+	 * Forgets everything that has been added so far
+	 */
+	pp.reset = function() {
+		this.steps = {};
+	}
+
+	fl.Profiler = Profiler;
+	fl.profiler = new Profiler();
+};
@@ -0,0 +1,235 @@
+/**
+ * Adapters between chains and Node streams, so that a chain can be used as a stage in a stream
+ * pipeline, processing one chunk at a time with backpressure
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use granted under the terms of the MIT License. See LICENSE for details.
+ */
+
+var stream = require('stream');
+var helpers = require('./helpers');
+var follow_signal = require('./environment').follow_signal;
+
+var slice = Array.prototype.slice;
+
+// Same trick as patterns and gen-dot, to hook this into the main lib while getting a reference to it
+module.exports = function(fl, patterns) {
+	/**
+	 * Creates the environment for one chunk. Like a scoped environment, it can see everything in
+	 * the base environment, but its own variables disappear once the chunk is done. It also has its
+	 * own metadata, so that chunks processed at the same time don't share an exception stack or a
+	 * call trace. Like a thread, it is cancelled along with the base environment, and its signal
+	 * follows the base environment's signal until $detach() is called.
+	 * @param base The environment that every chunk's environment is based on
+	 * @return Environment for a single chunk
+	 */
+	function chunk_env(base) {
+		var env = base.createScoped();
+		var listener = null;
+
+		fl.Environment.call(env, {}, base._fm.$log);
+		env._fm.strict = base._fm.strict;
+		env._fm.trace_threads = base._fm.trace_threads;
+
+		env.$cancelled = function() {
+			return env._fm.cancelled || base.$cancelled();
+		};
+
+		Object.defineProperty(env, '$signal', {
+			get : function() {
+				if (env._fm.controller === null)
+					listener = follow_signal(env._fm, base.$signal);
+				return env._fm.controller.signal;
+			}
+		});
+
+		env.$detach = function() {
+			if (listener !== null) {
+				base.$signal.removeEventListener('abort', listener);
+				listener = null;
+			}
+		};
+
+		return env;
+	}
+
+	/**
+	 * Runs a chain for a single chunk and reports how it finished
+	 * @param chain The chain to run
+	 * @param env The environment for the chunk
+	 * @param chunk The chunk, passed to the chain as its argument
+	 * @param done Callback given (err, outputs), where outputs is the array of arguments given to after
+	 */
+	function run_chunk(chain, env, chunk, done) {
+		env._fm.$push_exception_handler(function __transform_handler(env, err) {
+			env.$detach();
+			done(err);
+		}, helpers.noop);
+
+		chain.call(null, env, function __transform_after() {
+			env._fm.$pop_exception_handler();
+			env.$detach();
+			done(null, slice.call(arguments));
+		}, chunk);
+	}
+
+	/**
+	 * Turns a chain into a Transform stream. Each chunk written to the stream is passed to the chain
+	 * as its argument, running in a fresh scoped environment based on options.env, and every
+	 * argument that the chain passes to after() (other than undefined) is pushed downstream, so a
+	 * chain may produce zero, one, or several outputs per chunk. Up to options.concurrency chunks are processed at
+	 * once, but outputs are always pushed in the order the chunks were written. Once that many
+	 * chunks are in progress, no more are accepted, so backpressure reaches the writer. If the chain
+	 * throws, the stream is destroyed with the error.
+	 * @param chain The chain (or function) to run for each chunk
+	 * @param options Optional object with any of:
+	 *                env: Environment that each chunk's environment is based on (default: a new one)
+	 *                concurrency: Number of chunks that may be processed at once (default 1)
+	 *                objectMode: Whether the stream carries objects instead of buffers (default true)
+	 *                highWaterMark: Passed on to the stream
+	 * @return stream.Transform
+	 */
+	fl.toTransform = function(chain, options) {
+		options = options || {};
+
+		var base = options.env || new fl.Environment();
+		var concurrency = options.concurrency || 1;
+		var pending = [];
+		var running = 0;
+		var waiting = null;
+		var flushing = null;
+		var failed = false;
+		var transform;
+
+		if (!(chain instanceof fl.ChainBase))
+			chain = new fl.Chain(chain);
+
+		// Push the outputs for every chunk at the front of the queue that has finished
+		function push_ready() {
+			while (pending.length > 0 && pending[0].outputs !== null) {
+				pending.shift().outputs.forEach(function(output) {
+					if (output !== undefined)
+						transform.push(output);
+				});
+			}
+		}
+
+		// Accept another chunk if one was held back, or finish flushing if everything is done
+		function release() {
+			var callback;
+
+			if (waiting !== null && running < concurrency) {
+				callback = waiting;
+				waiting = null;
+				callback();
+			}
+			if (flushing !== null && running == 0) {
+				callback = flushing;
+				flushing = null;
+				callback();
+			}
+		}
+
+		transform = new stream.Transform({
+			objectMode : options.objectMode !== undefined ? options.objectMode : true,
+			highWaterMark : options.highWaterMark,
+			transform : function(chunk, encoding, callback) {
+				var entry = {outputs : null};
+
+				pending.push(entry);
+				running += 1;
+
+				run_chunk(chain, chunk_env(base), chunk, function(err, outputs) {
+					running -= 1;
+
+					if (failed)
+						return;
+					if (err) {
+						failed = true;
+						transform.destroy(err);
+						return;
+					}
+
+					entry.outputs = outputs;
+					push_ready();
+					release();
+				});
+
+				// Hold on to the callback while we're at the limit, which stops more writes
+				if (running < concurrency)
+					callback();
+				else
+					waiting = callback;
+			},
+			flush : function(callback) {
+				flushing = callback;
+				release();
+			}
+		});
+
+		return transform;
+	};
+
+	/**
+	 * Runs a source through several chains in turn, with each chain made into a buffered stage
+	 * using toTransform(), so that every stage can work on a different chunk at the same time. The
+	 * source may be a Readable stream, or anything that stream.Readable.from() accepts, such as an
+	 * array, a generator, or an async iterable. If options.destination is given, it is called to
+	 * create a Writable stream that the outputs of the last stage are written to, otherwise they
+	 * are collected into an array and passed forward. Chunks run in environments based on the
+	 * pipeline's environment, and if any stage throws, the exception is thrown from the pipeline.
+	 * @param stages Array of chains, one per stage
+	 * @param options Optional settings for every stage, see toTransform() (env is always the
+	 *                pipeline's), plus destination, a function returning a Writable stream
+	 * @return Chain-ready function, with (env, after, source) for a signature
+	 */
+	patterns['pipeline'] = function(stages, options) {
+		options = options || {};
+
+		if (typeof stream.pipeline != 'function' || typeof stream.Readable.from != 'function')
+			throw new Error('The pipeline pattern needs stream.pipeline() and stream.Readable.from(), which this version of node does not have');
+
+		return function pipeline(env, after, source) {
+			var results = [];
+			var streams = [];
+			var destination;
+
+			if (!(source instanceof stream.Readable))
+				source = stream.Readable.from(source);
+			streams.push(source);
+
+			stages.forEach(function(stage) {
+				streams.push(fl.toTransform(stage, {
+					env : env,
+					concurrency : options.concurrency,
+					objectMode : options.objectMode,
+					highWaterMark : options.highWaterMark
+				}));
+			});
+
+			if (options.destination) {
+				destination = options.destination();
+				results = undefined;
+			}
+			else {
+				destination = new stream.Writable({
+					objectMode : true,
+					write : function(chunk, encoding, callback) {
+						results.push(chunk);
+						callback();
+					}
+				});
+			}
+			streams.push(destination);
+
+			stream.pipeline(streams, function(err) {
+				if (err)
+					env.$throw(err);
+				else if (results)
+					after(results);
+				else
+					after();
+			});
+		};
+	};
+};
@@ -0,0 +1,290 @@
+/**
+ * Static checks for chains, which walk a chain the same way that gen-dot does and follow the
+ * number of arguments passed between steps, in order to find arity mistakes before the chain
+ * is ever run, rather than as strange values popped off of the stack at run time.
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use granted under the terms of the MIT License. See LICENSE for details.
+ */
+
+var helpers = require('./helpers');
+
+// Use the same trick as patterns to hook this into the main lib while getting a reference to it
+module.exports = function(fl) {
+	/**
+	 * Checks that every step in a chain can get the arguments it needs. A step's needs come from
+	 * its mkfn() parameter count, and what it passes forward comes from the results option to
+	 * mkfn(), which gives the number of arguments it passes to after(). Values that a step pushes
+	 * with env.$push() can't be seen, and once a step that doesn't declare its results is reached,
+	 * nothing is known about the arguments that follow it, so they aren't checked.
+	 * @param chain The chain to check
+	 * @param args Optional number of arguments the chain will be called with (default 0)
+	 * @return Array of problems found, each an object with the path to the step and a message
+	 */
+	fl.validate = function(chain, args) {
+		var problems = [];
+		var state = {args : args || 0, stack : 0};
+		var seen = {};
+
+		visit_chain(chain, state, [chain.name], problems);
+
+		// A loop's condition is checked twice, so the same problem may be found twice
+		return problems.filter(function(problem) {
+			var key = problem.path+'\n'+problem.message;
+			if (seen[key])
+				return false;
+			seen[key] = true;
+			return true;
+		});
+	}
+
+	/**
+	 * Copies the state, for when execution splits into several paths
+	 * @param state The state to copy
+	 * @return New state object with the same contents
+	 */
+	function copy(state) {
+		return {args : state.args, stack : state.stack};
+	}
+
+	/**
+	 * Combines the states at the end of several paths that meet again. Anything that doesn't
+	 * agree between all of them is unknown afterwards.
+	 * @param states Array of states to merge
+	 * @return New state object
+	 */
+	function merge(states) {
+		return states.reduce(function(memo, state) {
+			return {
+				args : memo.args === state.args ? memo.args : null,
+				stack : memo.stack === state.stack ? memo.stack : null
+			};
+		});
+	}
+
+	/**
+	 * Does the same thing to the state that handle_args() does to the arguments and the stack at
+	 * run time, and records a problem if the step needs more arguments than are available
+	 * @param info Function information for the step (result of mkfn)
+	 * @param state The state before the step, which is updated
+	 * @param path Array of names leading to this step
+	 * @param problems Array that problems are added to
+	 */
+	function take(info, state, path, problems) {
+		var max = info.max !== undefined ? info.max : info.params;
+		var missing = info.params - state.args;
+		var extra = state.args - max;
+
+		if (state.args === null) {
+			state.stack = null;
+			return;
+		}
+
+		if (missing > 0) {
+			if (state.stack !== null && state.stack < missing) {
+				problems.push({
+					path : path.join(' > '),
+					message : path[path.length - 1]+' needs '+info.params+' argument(s), but only '+
+						(state.args + state.stack)+' are available'
+				});
+				state.stack = 0;
+			}
+			else if (state.stack !== null) {
+				state.stack -= missing;
+			}
+			state.args = info.params;
+		}
+		else if (extra > 0) {
+			if (state.stack !== null)
+				state.stack += extra;
+			state.args = max;
+		}
+	}
+
+	/**
+	 * Checks a single step, which is either a function or a nested chain, leaving the state with
+	 * what the step passes forward
+	 * @param info Function information for the step (result of mkfn)
+	 * @param name Name to use for the step if its function doesn't have one
+	 * @param state The state before the step, which is updated
+	 * @param path Array of names leading to the chain containing this step
+	 * @param problems Array that problems are added to
+	 */
+	function visit(info, name, state, path, problems) {
+		path = path.concat(info.name || helpers.fname(info.fn, name));
+		take(info, state, path, problems);
+
+		if (info.fn instanceof fl.ChainBase) {
+			visit_chain(info.fn, state, path, problems);
+		}
+		else if (typeof info.results == 'number') {
+			state.args = Math.max(info.results - (info.outputs ? info.outputs.length : 0), 0);
+		}
+		else {
+			state.args = null;
+		}
+	}
+
+	/**
+	 * Checks the steps inside of a chain, depending on its type
+	 * @param chain The chain to check
+	 * @param state The state that the chain is called with, which is updated
+	 * @param path Array of names leading to this chain
+	 * @param problems Array that problems are added to
+	 */
+	function visit_chain(chain, state, path, problems) {
+		if (chain instanceof fl.Branch) {
+			handle_branch(chain, state, path, problems);
+		}
+		else if (chain instanceof fl.Switch) {
+			handle_switch(chain, state, path, problems);
+		}
+		else if (chain instanceof fl.RetryChain) {
+			visit(chain.body, '(retry body)', state, path, problems);
+		}
+		else if (chain instanceof fl.ParallelChain) {
+			handle_parallel(chain, state, path, problems);
+		}
+		else if (chain instanceof fl.LoopChain) {
+			handle_loop(chain, state, path, problems);
+		}
+		else if (chain instanceof fl.Chain) {
+			handle_chain(chain.fns, state, path, problems);
+		}
+		else {
+			// A chain type we don't know how to check, so we can't say what comes out of it
+			state.args = null;
+			state.stack = null;
+		}
+	}
+
+	/**
+	 * Checks a list of steps that run one after another
+	 * @param fns Array of function information (results of mkfn)
+	 * @param state The state before the first step, which is updated
+	 * @param path Array of names leading to these steps
+	 * @param problems Array that problems are added to
+	 */
+	function handle_chain(fns, state, path, problems) {
+		fns.forEach(function(info, idx) {
+			visit(info, '(step '+(idx+1)+')', state, path, problems);
+		});
+	}
+
+	/**
+	 * Checks a condition function, whose first result is the decision, which is not passed on
+	 * @param info Function information for the condition
+	 * @param name Name to use for the condition if its function doesn't have one
+	 * @param state The state before the condition, which is updated
+	 * @param path Array of names leading to the chain containing the condition
+	 * @param problems Array that problems are added to
+	 */
+	function visit_cond(info, name, state, path, problems) {
+		visit(info, name, state, path, problems);
+		if (state.args !== null)
+			state.args = Math.max(state.args - 1, 0);
+	}
+
+	/**
+	 * Checks a branch, where both sides start from the condition's results
+	 * @param elem The branch to check
+	 * @param state The state that the branch is called with, which is updated
+	 * @param path Array of names leading to this branch
+	 * @param problems Array that problems are added to
+	 */
+	function handle_branch(elem, state, path, problems) {
+		var if_true, if_false;
+
+		visit_cond(elem.cond, '(condition)', state, path, problems);
+		if_true = copy(state);
+		if_false = copy(state);
+		visit(elem.if_true, '(if true)', if_true, path, problems);
+		visit(elem.if_false, '(if false)', if_false, path, problems);
+
+		update(state, merge([if_true, if_false]));
+	}
+
+	/**
+	 * Checks a switch, where every case starts from the selector's results. Without a default,
+	 * the selector's results are passed straight through when no case matches.
+	 * @param elem The switch to check
+	 * @param state The state that the switch is called with, which is updated
+	 * @param path Array of names leading to this switch
+	 * @param problems Array that problems are added to
+	 */
+	function handle_switch(elem, state, path, problems) {
+		var ends = [];
+		var end;
+
+		visit_cond(elem.selector, '(selector)', state, path, problems);
+
+		for (var key in elem.cases) {
+			end = copy(state);
+			visit(elem.cases[key], '(case '+key+')', end, path, problems);
+			ends.push(end);
+		}
+
+		end = copy(state);
+		if (elem.default_case)
+			visit(elem.default_case, '(default)', end, path, problems);
+		ends.push(end);
+
+		update(state, merge(ends));
+	}
+
+	/**
+	 * Checks a parallel chain, where each thread gets the same arguments but its own stack. The
+	 * threads' results are collected into a single array if any of them produce results, and in
+	 * settled mode, there is always an array, with an entry for every thread.
+	 * @param elem The parallel chain to check
+	 * @param state The state that the chain is called with, which is updated
+	 * @param path Array of names leading to this chain
+	 * @param problems Array that problems are added to
+	 */
+	function handle_parallel(elem, state, path, problems) {
+		var ends = elem.fns.map(function(info, idx) {
+			var thread = {args : state.args, stack : 0};
+			visit(info, '(thread '+(idx+1)+')', thread, path, problems);
+			return thread;
+		});
+
+		if (elem.failure_mode == 'settled')
+			state.args = 1;
+		else if (ends.some(function(end) { return end.args === null; }))
+			state.args = null;
+		else if (elem instanceof fl.RaceChain || elem instanceof fl.AnyChain)
+			state.args = ends.length > 0 ? merge(ends).args : 0;
+		else
+			state.args = ends.some(function(end) { return end.args > 0; }) ? 1 : 0;
+	}
+
+	/**
+	 * Checks a loop, following its first pass: the initializer, the condition, and the body,
+	 * and then the condition again with the body's results, as it would see them on the next pass
+	 * @param elem The loop chain to check
+	 * @param state The state that the loop is called with, which is updated
+	 * @param path Array of names leading to this loop
+	 * @param problems Array that problems are added to
+	 */
+	function handle_loop(elem, state, path, problems) {
+		if (elem.init)
+			visit(elem.init, '(lambda initializer)', state, path, problems);
+
+		if (!elem.do_while)
+			visit_cond(elem.cond, '(lambda condition)', state, path, problems);
+
+		handle_chain(elem.fns, state, path, problems);
+		visit_cond(elem.cond, '(lambda condition)', state, path, problems);
+	}
+
+	/**
+	 * Replaces the contents of a state with another one
+	 * @param state The state to update
+	 * @param other The state to copy from
+	 */
+	function update(state, other) {
+		state.args = other.args;
+		state.stack = other.stack;
+	}
+
+};
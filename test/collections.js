@@ -0,0 +1,306 @@
+var fl = require('../lib-cov/flux-link');
+var stream = require('stream');
+
+exports = {};
+
+/**
+ * Each pattern is run against the same four elements, stored in each type of collection
+ */
+var collections = {
+	'array' : function() {
+		return [1, 2, 3, 4];
+	},
+	'object' : function() {
+		return {a : 1, b : 2, c : 3, d : 4};
+	},
+	'map' : function() {
+		return new Map([['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+	},
+	'set' : function() {
+		return new Set([1, 2, 3, 4]);
+	}
+};
+
+// Expected keys for each collection, in iteration order
+var keys = {
+	'array' : [0, 1, 2, 3],
+	'object' : ['a', 'b', 'c', 'd'],
+	'map' : ['a', 'b', 'c', 'd'],
+	'set' : [1, 2, 3, 4]
+};
+
+// Expected output of squaring every element, with the shape preserved
+var squared = {
+	'array' : [1, 4, 9, 16],
+	'object' : {a : 1, b : 4, c : 9, d : 16},
+	'map' : new Map([['a', 1], ['b', 4], ['c', 9], ['d', 16]]),
+	'set' : new Set([1, 4, 9, 16])
+};
+
+// Expected output of keeping only the even elements
+var evens = {
+	'array' : [2, 4],
+	'object' : {b : 2, d : 4},
+	'map' : new Map([['b', 2], ['d', 4]]),
+	'set' : new Set([2, 4])
+};
+
+function sq(env, after, v, k, i, list) {
+	after(v*v);
+}
+
+function even(env, after, v, k, i, list) {
+	setImmediate(function() {
+		after(v % 2 == 0);
+	});
+}
+
+/**
+ * Converts Maps and Sets into arrays tagged with their type, so that deepEqual compares their contents
+ */
+function plain(coll) {
+	if (coll instanceof Map)
+		return ['Map', Array.from(coll.entries())];
+	else if (coll instanceof Set)
+		return ['Set', Array.from(coll.values())];
+	return coll;
+}
+
+/**
+ * Adds one test per collection type for a pattern, which runs the pattern on the collection and
+ * compares what it produced against the expected output
+ */
+function add_tests(name, pattern, fn, expected) {
+	Object.keys(collections).forEach(function(type) {
+		exports[name+' '+type] = function(test) {
+			var env = new fl.Environment();
+			test.expect(1);
+			pattern(fn)(env, function(result) {
+				test.deepEqual(plain(result), plain(expected[type]));
+				test.done();
+			}, collections[type]());
+		};
+	});
+}
+
+add_tests('map', fl.p.map, sq, squared);
+add_tests('smap', fl.p.smap, sq, squared);
+add_tests('filter', fl.p.filter, even, evens);
+add_tests('sfilter', fl.p.sfilter, even, evens);
+
+Object.keys(collections).forEach(function(type) {
+	exports['each arguments '+type] = function(test) {
+		var coll = collections[type]();
+		var seen = [];
+		var env = new fl.Environment();
+
+		test.expect(5);
+		fl.p.each(function(env, after, v, k, i, list) {
+			test.strictEqual(list, coll);
+			seen[i] = k;
+			after();
+		})(env, function() {
+			test.deepEqual(seen, keys[type]);
+			test.done();
+		}, coll);
+	};
+});
+
+Object.keys(collections).forEach(function(type) {
+	exports['seach arguments '+type] = function(test) {
+		var coll = collections[type]();
+		var seen = [];
+		var env = new fl.Environment();
+
+		test.expect(1);
+		fl.p.seach(function(env, after, v, k, i, list) {
+			seen.push([k, i]);
+			after();
+		})(env, function() {
+			test.deepEqual(seen, keys[type].map(function(k, i) { return [k, i]; }));
+			test.done();
+		}, coll);
+	};
+});
+
+Object.keys(collections).forEach(function(type) {
+	exports['reduce '+type] = function(test) {
+		var env = new fl.Environment();
+
+		test.expect(1);
+		fl.p.reduce(function(env, after, memo, v, k, i, list) {
+			after(memo + v*i);
+		})(env, function(result) {
+			test.equals(result, 20);
+			test.done();
+		}, collections[type](), 0);
+	};
+});
+
+exports['empty collections'] = function(test) {
+	var env = new fl.Environment();
+	var chain = new fl.Chain(
+		function(env, after) {
+			after([]);
+		},
+		fl.p.map(sq),
+		function(env, after, result) {
+			test.deepEqual(result, []);
+			after({});
+		},
+		fl.p.filter(even),
+		function(env, after, result) {
+			test.deepEqual(result, {});
+			after(new Map());
+		},
+		fl.p.smap(sq),
+		function(env, after, result) {
+			test.ok(result instanceof Map);
+			after();
+		});
+
+	test.expect(3);
+	chain.call(null, env, test.done);
+};
+
+/**
+ * Sources that are read lazily, each producing 1, 2, 3, 4
+ */
+var sources = {
+	'generator' : function() {
+		return (function*() {
+			for (var i = 1; i <= 4; ++i)
+				yield i;
+		})();
+	},
+	'async generator' : function() {
+		return (async function*() {
+			for (var i = 1; i <= 4; ++i) {
+				await null;
+				yield i;
+			}
+		})();
+	},
+	'stream' : function() {
+		return stream.Readable.from([1, 2, 3, 4]);
+	}
+};
+
+Object.keys(sources).forEach(function(type) {
+	exports['smap '+type] = function(test) {
+		var env = new fl.Environment();
+
+		test.expect(1);
+		fl.p.smap(sq)(env, function(result) {
+			test.deepEqual(result, [1, 4, 9, 16]);
+			test.done();
+		}, sources[type]());
+	};
+
+	exports['seach '+type] = function(test) {
+		var env = new fl.Environment();
+		var seen = [];
+
+		test.expect(1);
+		fl.p.seach(function(env, after, v, k, i, list) {
+			seen.push([v, k, i]);
+			after();
+		})(env, function() {
+			test.deepEqual(seen, [[1, 0, 0], [2, 1, 1], [3, 2, 2], [4, 3, 3]]);
+			test.done();
+		}, sources[type]());
+	};
+
+	exports['reduce '+type] = function(test) {
+		var env = new fl.Environment();
+
+		test.expect(1);
+		fl.p.reduce(function(env, after, memo, v, k, i, list) {
+			after(memo + v);
+		})(env, function(result) {
+			test.equals(result, 10);
+			test.done();
+		}, sources[type](), 0);
+	};
+
+	exports['forAwait '+type] = function(test) {
+		var env = new fl.Environment();
+		var seen = [];
+
+		test.expect(1);
+		fl.p.forAwait(function(env, after, v, k, i, list) {
+			seen.push(v);
+			after();
+		})(env, function() {
+			test.deepEqual(seen, [1, 2, 3, 4]);
+			test.done();
+		}, sources[type]());
+	};
+});
+
+exports['forAwait break closes source'] = function(test) {
+	var closed = false;
+	var gen = (async function*() {
+		try {
+			for (var i = 1; ; ++i)
+				yield i;
+		}
+		finally {
+			closed = true;
+		}
+	})();
+
+	var seen = [];
+	var chain = new fl.Chain(fl.p.forAwait(function(env, after, v, k, i, list) {
+			if (v == 3)
+				env.$break();
+			else if (v == 1)
+				env.$continue();
+			else {
+				seen.push(v);
+				after();
+			}
+		}),
+		function(env, after) {
+			test.deepEqual(seen, [2]);
+			setImmediate(function() {
+				test.ok(closed);
+				after();
+			});
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, gen);
+};
+
+exports['async source error'] = function(test) {
+	var gen = (async function*() {
+		yield 1;
+		throw new Error('cursor failed');
+	})();
+
+	var chain = new fl.Chain(fl.p.smap(sq));
+	chain.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'cursor failed');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, gen);
+};
+
+exports['parallel pattern on iterator'] = function(test) {
+	var chain = new fl.Chain(fl.p.map(sq));
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err.message.indexOf('serial pattern') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, sources['generator']());
+};
+
+module.exports = exports;
@@ -113,6 +113,86 @@ exports['caller initial parameters'] = function(test) {
 	chain.call(null, env, test.done, 10);
 }
 
+exports['named inputs and outputs'] = function(test) {
+	var chain = new fl.Chain(
+		fl.mkfn(function total(env, after, user, order) {
+			test.equals(user, 'bob');
+			test.deepEqual(order, [1, 2, 3]);
+			after(6, 'extra');
+		}, {inputs : ['user', 'order'], outputs : ['total']}),
+		function(env, after, param) {
+			test.equals(env.total, 6);
+			test.equals(param, 'extra');
+			after();
+		});
+
+	var env = new fl.Environment({user : 'bob', order : [1, 2, 3]});
+	test.expect(4);
+	chain.call(null, env, test.done);
+}
+
+exports['named inputs with parameters'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			after(2);
+		},
+		fl.mkfn(function scale(env, after, factor, value) {
+			after(factor * value);
+		}, {params : 1, inputs : ['factor'], outputs : ['scaled']}),
+		fl.mkfn(function(env, after, scaled) {
+			test.equals(scaled, 10);
+			after();
+		}, {inputs : ['scaled']}));
+
+	var env = new fl.Environment({factor : 5});
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
+exports['optional parameters'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$push('stack');
+			after(1);
+		},
+		fl.mkfn(function(env, after, a, b) {
+			test.equals(a, 1);
+			test.strictEqual(b, undefined);
+			after(2, 3, 4);
+		}, {min : 1, max : 2}),
+		fl.mkfn(function(env, after, a, b) {
+			test.equals(a, 2);
+			test.equals(b, 3);
+			test.deepEqual(env._fm.stack, ['stack', 4]);
+			after();
+		}, {min : 1, max : 2}));
+
+	var env = new fl.Environment();
+	test.expect(5);
+	chain.call(null, env, test.done);
+}
+
+exports['rest parameters'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$push('first');
+			after();
+		},
+		fl.mkfn(function(env, after) {
+			test.deepEqual(Array.prototype.slice.call(arguments, 2), ['first']);
+			after(1, 2, 3);
+		}, {params : 1, rest : true}),
+		fl.mkfn(function(env, after) {
+			test.deepEqual(Array.prototype.slice.call(arguments, 2), [1, 2, 3]);
+			test.equals(env._fm.stack.length, 0);
+			after();
+		}, {rest : true}));
+
+	var env = new fl.Environment();
+	test.expect(3);
+	chain.call(null, env, test.done);
+}
+
 exports['loop'] = function(test) {
 	var chain = new fl.LoopChain(
 		function(env, after) {
@@ -132,6 +212,149 @@ exports['loop'] = function(test) {
 	chain.call(null, env, test.done);
 }
 
+exports['loop initializer'] = function(test) {
+	var chain = new fl.LoopChain(
+		function(env, after, i) {
+			after(i < 3, i);
+		},
+		function(env, after, i) {
+			env.seen.push(i);
+			after(i + 1);
+		});
+	chain.set_init(function(env, after, start) {
+		env.seen = [];
+		after(start);
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, function() {
+		test.deepEqual(env.seen, [1, 2]);
+		test.done();
+	}, 1);
+}
+
+exports['loop do while'] = function(test) {
+	var chain = new fl.LoopChain(
+		function(env, after) {
+			after(false);
+		},
+		function(env, after) {
+			env.count += 1;
+			after();
+		});
+	chain.set_do_while(true);
+
+	var env = new fl.Environment({count : 0});
+	test.expect(1);
+	chain.call(null, env, function() {
+		test.equals(env.count, 1);
+		test.done();
+	});
+}
+
+exports['loop break and continue'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			if (env.count == 2)
+				env.$continue();
+			else if (env.count == 4)
+				env.$break('done');
+			else
+				after();
+		},
+		function(env, after) {
+			env.seen.push(env.count);
+			after();
+		});
+	inner.set_finally_handler(function(env, after) {
+		env.finally_count += 1;
+		after();
+	});
+
+	var chain = new fl.LoopChain(
+		function(env, after) {
+			env.count += 1;
+			after(env.count < 10);
+		},
+		inner,
+		function(env, after) {
+			after();
+		});
+
+	var env = new fl.Environment({count : 0, seen : [], finally_count : 0});
+	test.expect(4);
+	chain.call(null, env, function(result) {
+		test.equals(result, 'done');
+		test.deepEqual(env.seen, [1, 3]);
+		test.equals(env.finally_count, 4);
+		test.equals(env._fm.exception_stack.length, 0);
+		test.done();
+	});
+}
+
+exports['loop iteration'] = function(test) {
+	var chain = new fl.LoopChain(
+		function(env, after) {
+			env.checks.push(env.$iteration);
+			after(env.$iteration < 2);
+		},
+		function(env, after) {
+			env.passes.push(env.$iteration);
+			after();
+		});
+
+	var env = new fl.Environment({checks : [], passes : []});
+	test.expect(3);
+	chain.call(null, env, function() {
+		test.deepEqual(env.checks, [0, 1, 2]);
+		test.deepEqual(env.passes, [0, 1]);
+		test.equals(env.$iteration, undefined);
+		test.done();
+	});
+}
+
+exports['loop max iterations'] = function(test) {
+	var loop = new fl.LoopChain(
+		function forever(env, after) {
+			after(true);
+		},
+		function(env, after) {
+			env.count += 1;
+			after();
+		});
+	loop.name = 'spin';
+	loop.set_max_iterations(5);
+
+	var chain = new fl.Chain(loop);
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.IterationLimitError);
+		test.ok(err.message.indexOf('spin') >= 0);
+		test.ok(err.backtrace.indexOf('in spin') >= 0);
+		test.equals(env.count, 5);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({count : 0});
+	test.expect(4);
+	chain.call(null, env, test.done);
+}
+
+exports['break outside of loop'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$break();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err.message.indexOf('env.$break()') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
 exports['parallel'] = function(test) {
 	var dec = function dec(env, after) {
 		env._env.count -= 1;
@@ -208,6 +431,19 @@ exports['branch false'] = function(test) {
 	chain.call(null, env, test.done, 1);
 };
 
+exports['single step chain dot'] = function(test) {
+	var inner = new fl.Chain(function only(env, after) {
+		after();
+	});
+	var chain = new fl.Chain(inner, function next(env, after) {
+		after();
+	});
+
+	var dot = fl.gen_dot(chain);
+	test.ok(dot.indexOf('only -> next;') >= 0);
+	test.done();
+};
+
 exports['local env'] = function(test) {
 	var inner = new fl.Chain(
 		function(env, after) {
@@ -255,4 +491,415 @@ exports['local env passthru'] = function(test) {
 	chain.call(null, env, test.done);
 }
 
+exports['run resolves'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after, a, b) {
+			after(a + b);
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.run(env, 1, 2).then(function(result) {
+		test.equals(result, 3);
+		test.done();
+	});
+}
+
+exports['run rejects'] = function(test) {
+	var err = new Error('run error');
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$throw(err);
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.run(env).then(null, function(recErr) {
+		test.ok(Object.is(err, recErr));
+		test.ok(recErr.backtrace !== undefined);
+		test.done();
+	});
+}
+
+exports['promise steps'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			return Promise.resolve(5);
+		},
+		function(env, after, param) {
+			test.equals(param, 5);
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 1);
+			});
+		},
+		function(env, after) {
+			// Calling after and also resolving a promise should only continue once
+			after(6);
+			return Promise.resolve(7);
+		},
+		function(env, after, param) {
+			test.equals(param, 6);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done);
+}
+
+exports['promise step late after'] = function(test) {
+	var finished = 0;
+	var logged = [];
+	var chain = new fl.Chain(
+		function(env, after) {
+			setTimeout(function() {
+				after(5);
+			}, 5);
+			return Promise.resolve();
+		},
+		function(env, after, param) {
+			test.equals(param, undefined);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({}, function(message) {
+		logged.push(message);
+	});
+	test.expect(3);
+	chain.call(null, env, function() {
+		finished += 1;
+	});
+
+	setTimeout(function() {
+		test.equals(finished, 1);
+		test.equals(logged.length, 0);
+		test.done();
+	}, 20);
+}
+
+exports['promise step rejected after after'] = function(test) {
+	var logged = [];
+	var chain = new fl.Chain(
+		function(env, after) {
+			after(5);
+			return new Promise(function(resolve, reject) {
+				setTimeout(function() {
+					reject(new Error('late failure'));
+				}, 5);
+			});
+		},
+		function(env, after, param) {
+			test.equals(param, 5);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({}, function(message) {
+		logged.push(message);
+	});
+	test.expect(3);
+	chain.call(null, env, function() {
+		setTimeout(function() {
+			test.ok(logged[0].indexOf('rejected') >= 0);
+			test.ok(logged[1].indexOf('late failure') >= 0);
+			test.done();
+		}, 20);
+	});
+}
+
+exports['promise step rejection'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			return Promise.reject(new Error('rejected'));
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'rejected');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
+exports['promise conditions'] = function(test) {
+	var loop = new fl.LoopChain(
+		function(env, after) {
+			return Promise.resolve(env.count > 0);
+		},
+		function(env, after) {
+			env.count -= 1;
+			after();
+		});
+	var branch = new fl.Branch(
+		function(env, after) {
+			return Promise.resolve(env.count === 0);
+		},
+		function(env, after) {
+			test.ok(true);
+			after();
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+
+	var env = new fl.Environment({count : 3});
+	test.expect(1);
+	new fl.Chain(loop, branch).call(null, env, test.done);
+}
+
+exports['parallel concurrency'] = function(test) {
+	var running = 0;
+	var max_running = 0;
+	var fns = [];
+
+	var body = function body(lenv, after) {
+		running += 1;
+		max_running = Math.max(max_running, running);
+		setTimeout(function() {
+			running -= 1;
+			after(lenv._thread_id);
+		}, 2);
+	};
+	for (var i = 0; i < 10; ++i) {
+		fns.push(body);
+	}
+
+	var pc = new fl.ParallelChain(fns);
+	pc.set_concurrency(3);
+	var chain = new fl.Chain(pc,
+		function(env, after, results) {
+			test.equals(max_running, 3);
+			test.deepEqual(results, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done);
+}
+
+exports['parallel concurrency synchronous'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function(lenv, after) { after(lenv._thread_id); },
+		function(lenv, after) { after(lenv._thread_id); },
+		function(lenv, after) { after(lenv._thread_id); });
+	pc.set_concurrency(2);
+	var chain = new fl.Chain(pc,
+		function(env, after, results) {
+			test.deepEqual(results, [0, 1, 2]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
+exports['parallel empty'] = function(test) {
+	var env = new fl.Environment();
+	test.expect(1);
+	new fl.ParallelChain().call(null, env, function() {
+		test.ok(true);
+		test.done();
+	});
+}
+
+exports['race'] = function(test) {
+	var rc = new fl.RaceChain(
+		function slow(env, after) {
+			setTimeout(function() { after('slow'); }, 10);
+		},
+		function fast(env, after) {
+			setTimeout(function() { after('fast', 1); }, 1);
+		});
+	var chain = new fl.Chain(rc,
+		function(env, after, result, extra) {
+			test.equals(result, 'fast');
+			test.equals(extra, 1);
+			setTimeout(after, 15);
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done);
+}
+
+exports['race exception'] = function(test) {
+	var rc = new fl.RaceChain(
+		function(env, after) {
+			setTimeout(after, 10);
+		},
+		function(env, after) {
+			env.$throw(new Error('lost'));
+		});
+	rc.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'lost');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	rc.call(null, env, function() {
+		setTimeout(test.done, 15);
+	});
+}
+
+exports['any'] = function(test) {
+	var ac = new fl.AnyChain(
+		function(env, after) {
+			env.$throw(new Error('failed'));
+		},
+		function(env, after) {
+			setTimeout(function() { after('second'); }, 1);
+		},
+		function(env, after) {
+			setTimeout(function() { after('third'); }, 10);
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	ac.call(null, env, function(result) {
+		test.equals(result, 'second');
+		test.done();
+	});
+}
+
+exports['any all fail'] = function(test) {
+	var fail = function(env, after) {
+		env.$throw(new Error('failed '+env._thread_id));
+	};
+	var ac = new fl.AnyChain(fail, fail);
+	ac.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.AggregateError);
+		test.equals(err.errors[1].message, 'failed 1');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	ac.call(null, env, test.done);
+}
+
+exports['any without threads'] = function(test) {
+	var ac = new fl.AnyChain();
+	ac.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.AggregateError);
+		test.equals(err.errors.length, 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	ac.call(null, env, test.done);
+}
+
+exports['race and any failure mode'] = function(test) {
+	test.expect(2);
+	test.throws(function() {
+		new fl.RaceChain().set_failure_mode('wait');
+	});
+	test.throws(function() {
+		new fl.AnyChain().set_failure_mode('settled');
+	});
+	test.done();
+}
+
+exports['switch'] = function(test) {
+	var sw = new fl.Switch(
+		function select(env, after, action, value) {
+			after(action, value);
+		}, {
+			double : function(env, after, value) {
+				after(value * 2);
+			},
+			square : function(env, after, value) {
+				after(value * value);
+			}
+		},
+		function unknown(env, after, value) {
+			after(-1);
+		});
+
+	var chain = new fl.Chain(
+		function(env, after) {
+			after('square', 3);
+		},
+		sw,
+		function(env, after, result) {
+			test.equals(result, 9);
+			after('double', 3);
+		},
+		sw,
+		function(env, after, result) {
+			test.equals(result, 6);
+			after('other', 3);
+		},
+		sw,
+		function(env, after, result) {
+			test.equals(result, -1);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(3);
+	chain.call(null, env, test.done);
+}
+
+exports['switch add and remove cases'] = function(test) {
+	var sw = new fl.Switch(function(env, after, key) {
+		after(key, key);
+	});
+	sw.add_case('a', function(env, after, key) {
+		test.ok(false);
+		after();
+	});
+	sw.add_case('b', function(env, after, key) {
+		test.equals(key, 'b');
+		after();
+	});
+	sw.remove_case('a');
+
+	var chain = new fl.Chain(
+		function(env, after) {
+			after('a');
+		},
+		sw,
+		function(env, after, key) {
+			// No default, so the arguments are passed straight through
+			test.equals(key, 'a');
+			after('b');
+		},
+		sw);
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done);
+}
+
+exports['switch dot'] = function(test) {
+	var sw = new fl.Switch(function select(env, after) {
+		after('x');
+	}, {
+		'say "hi"' : function greet(env, after) { after(); }
+	});
+
+	var dot = fl.gen_dot(new fl.Chain(sw));
+	test.ok(dot.indexOf('select -> greet [label = "say \\"hi\\""];') >= 0);
+	test.ok(dot.indexOf('select -> switch_end [label = default, style = dashed];') >= 0);
+	test.done();
+}
+
 module.exports = exports;
@@ -89,4 +89,777 @@ exports['bind_after_env applies in exception'] = function(test) {
 	});
 }
 
+exports['step timeout'] = function(test) {
+	var chain = new fl.Chain(
+		fl.mkfn(function slow(env, after) {
+			setTimeout(after, 50);
+		}, {timeout : 10}),
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.TimeoutError);
+		test.ok(err.backtrace.indexOf('slow') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, function() {
+		// Wait for the late after() to make sure that it is ignored
+		setTimeout(test.done, 60);
+	});
+}
+
+exports['chain timeout'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			setTimeout(after, 50);
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	var chain = new fl.Chain(inner);
+	chain.set_timeout(10);
+	var outer = new fl.Chain(chain);
+	outer.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.TimeoutError);
+		test.equals(err.timeout, 10);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	outer.call(null, env, function() {
+		setTimeout(test.done, 60);
+	});
+}
+
+exports['timeout through nested handler'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			setTimeout(after, 50);
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	inner.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+	inner.set_finally_handler(function(env, after) {
+		test.ok(true);
+		after();
+	});
+	var chain = new fl.Chain(inner);
+	chain.set_timeout(10);
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.TimeoutError);
+		env.$catch();
+	});
+	var outer = new fl.Chain(chain);
+	outer.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(3);
+	outer.call(null, env, function() {
+		test.ok(true);
+		setTimeout(test.done, 60);
+	});
+}
+
+exports['timeout not triggered'] = function(test) {
+	var chain = new fl.Chain(
+		fl.mkfn(function(env, after) {
+			setTimeout(after, 1);
+		}, {timeout : 50}));
+	chain.set_timeout(50);
+	chain.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, function() {
+		test.ok(true);
+		setTimeout(test.done, 60);
+	});
+}
+
+exports['retry until success'] = function(test) {
+	var body = new fl.Chain(
+		function(env, after, value) {
+			env.$push(env.$pop() + 1);
+			after(value);
+		},
+		function flaky(env, after, value) {
+			env.tries += 1;
+			if (env.tries < 3)
+				env.$throw(new Error('flaky'));
+			else
+				after(value * 2);
+		});
+	var chain = new fl.Chain(
+		new fl.RetryChain(body, {max_attempts : 5, delay : 1}),
+		function(env, after, result) {
+			test.equals(result, 10);
+			test.equals(env.tries, 3);
+			// The stack is restored between attempts, so the counter was only incremented once
+			test.equals(env.$pop(), 1);
+			test.ok(env.$format_call_tree(env.$get_exec_trace()).indexOf('(attempt 3 of 5)') >= 0);
+			after();
+		});
+
+	var env = new fl.Environment({tries : 0});
+	env.$push(0);
+	test.expect(4);
+	chain.call(null, env, test.done, 5);
+}
+
+exports['retry gives up'] = function(test) {
+	var chain = new fl.RetryChain(
+		function(env, after) {
+			env.tries += 1;
+			env.$throw(new Error('always fails'));
+		}, {max_attempts : 3, backoff : 'exponential', delay : 1, jitter : 0.5});
+	chain.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'always fails');
+		test.equals(env.tries, 3);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({tries : 0});
+	test.expect(2);
+	chain.call(null, env, test.done);
+}
+
+exports['retry predicate'] = function(test) {
+	var chain = new fl.RetryChain(
+		function(env, after) {
+			env.tries += 1;
+			env.$throw(new Error('fatal'));
+		}, {
+			retry_if : function(err) {
+				return err.message != 'fatal';
+			}
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.equals(env.tries, 1);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({tries : 0});
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
+exports['retry timeout during backoff'] = function(test) {
+	var chain = new fl.RetryChain(
+		function(env, after) {
+			env.tries += 1;
+			env.$throw(new Error('failed'));
+		}, {max_attempts : 3, delay : 50});
+	chain.set_timeout(20);
+
+	var outer = new fl.Chain(chain);
+	outer.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.TimeoutError);
+		env.$catch();
+	});
+
+	var env = new fl.Environment({tries : 0});
+	test.expect(2);
+	outer.call(null, env, function() {
+		setTimeout(function() {
+			test.equals(env.tries, 1);
+			test.done();
+		}, 80);
+	});
+}
+
+exports['cancel'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			test.ok(!env.$signal.aborted);
+			setTimeout(after, 5);
+			env.$cancel('client left');
+			test.ok(env.$signal.aborted);
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	var chain = new fl.Chain(inner,
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.CancelledError);
+		test.equals(err.reason, 'client left');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(4);
+	chain.call(null, env, test.done);
+}
+
+exports['cancel parallel threads'] = function(test) {
+	var count = 0;
+	var thread = new fl.Chain(
+		function(env, after) {
+			if (env._thread_id == 0)
+				env._env.$cancel();
+			setTimeout(after, 1);
+		},
+		function(env, after) {
+			count += 1;
+			after();
+		});
+	var chain = new fl.Chain(fl.p.map(thread));
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.CancelledError);
+		test.equals(count, 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, [1, 2, 3]);
+}
+
+exports['thread signals detached'] = function(test) {
+	var added = 0;
+	var removed = 0;
+	var items = [];
+	for (var i = 0; i < 20; ++i)
+		items.push(i);
+
+	var chain = new fl.Chain(
+		function(env, after, items) {
+			var signal = env.$signal;
+			var add = signal.addEventListener;
+			var remove = signal.removeEventListener;
+			signal.addEventListener = function() {
+				added += 1;
+				return add.apply(this, arguments);
+			};
+			signal.removeEventListener = function() {
+				removed += 1;
+				return remove.apply(this, arguments);
+			};
+			after(items);
+		},
+		fl.p.map(function(env, after, item) {
+			test.ok(!env.$signal.aborted);
+			after(item);
+		}),
+		function(env, after, results) {
+			test.equals(results.length, 20);
+			test.equals(added, 20);
+			test.equals(removed, 20);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(23);
+	chain.call(null, env, test.done, items);
+}
+
+exports['cancel thread only'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function(env, after, items) {
+			var signal = env.$signal;
+			env.$cancel();
+			test.ok(signal.aborted);
+			test.ok(!env._env.$signal.aborted);
+			after();
+		},
+		function(env, after) {
+			after();
+		});
+	pc.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	pc.call(null, env, test.done);
+}
+
+exports['finally after normal exit'] = function(test) {
+	var order = [];
+	var chain = new fl.Chain(
+		function(env, after) {
+			order.push('body');
+			after(1);
+		});
+	chain.set_finally_handler(function(env, after) {
+		order.push('finally');
+		setTimeout(after, 1);
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, function(result) {
+		test.deepEqual(order, ['body', 'finally']);
+		test.equals(result, 1);
+		test.done();
+	});
+}
+
+exports['finally after caught exception'] = function(test) {
+	var order = [];
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$throw(new Error('caught'));
+		});
+	chain.set_exception_handler(function(env, err) {
+		order.push('handler');
+		env.$catch();
+	});
+	chain.set_finally_handler(function(env, after) {
+		order.push('finally');
+		after();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, function() {
+		test.deepEqual(order, ['handler', 'finally']);
+		test.done();
+	});
+}
+
+exports['finally before rethrow'] = function(test) {
+	var order = [];
+	var inner = new fl.Chain(
+		function(env, after) {
+			env.$throw(new Error('rethrown'));
+		});
+	inner.set_exception_handler(function(env, err) {
+		order.push('inner handler');
+		env.$throw(err);
+	});
+	inner.set_finally_handler(function(env, after) {
+		order.push('inner finally');
+		after();
+	});
+
+	var middle = new fl.Chain(inner);
+	middle.set_finally_handler(function(env, after) {
+		order.push('middle finally');
+		after();
+	});
+
+	var outer = new fl.Chain(middle);
+	outer.set_exception_handler(function(env, err) {
+		order.push('outer handler');
+		test.equals(err.message, 'rethrown');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	outer.call(null, env, function() {
+		test.deepEqual(order, ['inner handler', 'inner finally', 'middle finally', 'outer handler']);
+		test.done();
+	});
+}
+
+exports['finally runs when cancelled'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$cancel();
+			after();
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	chain.set_finally_handler(function(env, after) {
+		test.ok(true);
+		after();
+	});
+	var outer = new fl.Chain(chain);
+	outer.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.CancelledError);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	outer.call(null, env, test.done);
+}
+
+exports['caught exception trace depth'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			env.$throw(new Error('caught'));
+		});
+	inner.set_exception_handler(function(env, err) {
+		env.$catch();
+	});
+	inner.name = 'inner';
+
+	var chain = new fl.Chain(inner,
+		function next(env, after) {
+			var trace = env.$get_exec_trace();
+			var depth = {};
+			trace.forEach(function(v) {
+				depth[v[0]] = v[1];
+			});
+			test.equals(depth['next'], depth['inner']);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done);
+}
+
+exports['parallel fail fast'] = function(test) {
+	var finished = 0;
+	var pc = new fl.ParallelChain(
+		function(env, after) {
+			env.$throw(new Error('first'));
+		},
+		new fl.Chain(
+			function(env, after) {
+				setTimeout(after, 5);
+			},
+			function(env, after) {
+				finished += 1;
+				after();
+			}));
+	pc.set_failure_mode('fail_fast');
+	pc.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'first');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	pc.call(null, env, function() {
+		setTimeout(function() {
+			test.equals(finished, 0);
+			test.done();
+		}, 10);
+	});
+}
+
+exports['parallel aggregate'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function(env, after) {
+			env.$throw(new Error('zero'));
+		},
+		function(env, after) {
+			after();
+		},
+		function(env, after) {
+			setTimeout(function() {
+				env.$throw(new Error('two'));
+			}, 1);
+		});
+	pc.set_failure_mode('aggregate');
+	pc.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.AggregateError);
+		test.equals(err.errors[0].message, 'zero');
+		test.ok(!(1 in err.errors));
+		test.equals(err.errors[2].message, 'two');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(4);
+	pc.call(null, env, test.done);
+}
+
+exports['parallel thread backtrace'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function failing_thread(env, after) {
+			env.$throw(new Error('first'));
+		},
+		function(env, after) {
+			setTimeout(after, 5);
+		});
+	pc.set_failure_mode('fail_fast');
+	pc.set_exception_handler(function(env, err) {
+		test.ok(err.thread_backtrace.indexOf('failing_thread') >= 0);
+		test.ok(err.backtrace.indexOf('failing_thread') < 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	pc.call(null, env, test.done);
+}
+
+exports['aggregate error subclass'] = function(test) {
+	var err = new fl.AggregateError([new Error('zero')], 'failed');
+	test.expect(4);
+	test.ok(err instanceof Error);
+	test.ok(typeof AggregateError != 'function' || err instanceof AggregateError);
+	test.equals(err.name, 'AggregateError');
+	test.equals(err.errors[0].message, 'zero');
+	test.done();
+}
+
+exports['parallel settled'] = function(test) {
+	var err = new Error('failed');
+	var pc = new fl.ParallelChain(
+		function(env, after) {
+			after(1);
+		},
+		function(env, after) {
+			env.$throw(err);
+		},
+		function(env, after) {
+			after();
+		});
+	pc.set_failure_mode('settled');
+	pc.set_exception_handler(function(env, err) {
+		test.ok(false);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	pc.call(null, env, function(results) {
+		test.deepEqual(results, [
+			{status : 'fulfilled', value : 1},
+			{status : 'rejected', reason : err},
+			{status : 'fulfilled', value : undefined}
+		]);
+		test.done();
+	});
+}
+
+exports['strict stack underflow'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$push(1);
+			after();
+		},
+		function needs_two(env, after, a, b) {
+			test.ok(false);
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.StackError);
+		test.equals(err.step, 'needs_two');
+		test.ok(err.message.indexOf('needs_two needs 2 argument(s)') >= 0);
+		test.ok(err.backtrace.indexOf('needs_two') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	env.$set_strict(true);
+	test.expect(4);
+	chain.call(null, env, test.done);
+}
+
+exports['strict stack leftover values'] = function(test) {
+	var inner = new fl.Chain(
+		function(env, after) {
+			env.$push('leaked');
+			after();
+		});
+	inner.name = 'leaky';
+	var outer = new fl.Chain(inner);
+	outer.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.StackError);
+		test.equals(err.step, 'leaky');
+		test.deepEqual(err.values, ['leaked']);
+		test.equals(env._fm.stack.length, 0);
+		test.ok(err.backtrace.indexOf('leaky') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	env.$set_strict(true);
+	test.expect(5);
+	outer.call(null, env, test.done);
+}
+
+exports['strict stack global default'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			env.$push(1);
+			after();
+		},
+		function(env, after, a) {
+			test.equals(a, 1);
+			after();
+		});
+	var loose = new fl.Chain(
+		function(env, after, a) {
+			test.strictEqual(a, undefined);
+			after();
+		});
+	var failed = false;
+	chain.set_exception_handler(function(env, err) {
+		failed = true;
+		env.$catch();
+	});
+
+	fl.set_strict(true);
+	var env = new fl.Environment();
+	var loose_env = new fl.Environment();
+	loose_env.$set_strict(false);
+	test.expect(3);
+	chain.call(null, env, function() {
+		loose.call(null, loose_env, function() {
+			fl.set_strict(false);
+			test.ok(!failed);
+			test.done();
+		});
+	});
+}
+
+exports['after called twice'] = function(test) {
+	var count = 0;
+	var chain = new fl.Chain(
+		function twice(env, after) {
+			after();
+			setImmediate(after);
+		},
+		function rest(env, after) {
+			count += 1;
+			setTimeout(after, 20);
+		});
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.DoubleCallError);
+		test.equals(err.step, 'twice');
+		test.ok(err.first_backtrace.indexOf('twice') >= 0);
+		test.ok(err.backtrace.indexOf('twice') >= 0);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(5);
+	chain.call(null, env, function() {
+		test.equals(count, 1);
+		test.done();
+	});
+}
+
+exports['after called twice in a row'] = function(test) {
+	var ran = false;
+	var errors = 0;
+	var finished = 0;
+	var chain = new fl.Chain(
+		function twice(env, after) {
+			after();
+			after();
+		},
+		function rest(env, after) {
+			ran = true;
+			after();
+		});
+	chain.set_exception_handler(function(env, err) {
+		errors += 1;
+		test.ok(err instanceof fl.DoubleCallError);
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(4);
+	chain.call(null, env, function() {
+		finished += 1;
+	});
+
+	setTimeout(function() {
+		test.ok(!ran);
+		test.equals(errors, 1);
+		test.equals(finished, 1);
+		test.done();
+	}, 20);
+}
+
+exports['after called twice in parallel thread'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function thread(env, after) {
+			after(1);
+			after(2);
+		},
+		function slow(env, after) {
+			setTimeout(after, 20);
+		});
+	pc.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.DoubleCallError);
+		test.equals(err.step, 'thread');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	pc.call(null, env, test.done);
+}
+
+exports['after called twice in branch'] = function(test) {
+	var branch = new fl.Branch(
+		function cond(env, after) {
+			after(true);
+			after(false);
+		},
+		function(env, after) {
+			after();
+		},
+		function(env, after) {
+			test.ok(false);
+			after();
+		});
+	var finished = 0;
+	branch.set_exception_handler(function(env, err) {
+		test.equals(err.step, 'cond');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	branch.call(null, env, function() {
+		finished += 1;
+	});
+
+	setTimeout(function() {
+		test.equals(finished, 1);
+		test.done();
+	}, 20);
+}
+
+exports['stall detection'] = function(test) {
+	var reports = [];
+	var chain = new fl.Chain(
+		function(env, after) {
+			after();
+		},
+		function stuck(env, after) {
+			setTimeout(after, 80);
+		});
+
+	fl.detect_stalls(20, function(env, elapsed) {
+		reports.push(env.$format_stack_trace(env.$get_back_trace()));
+		test.ok(elapsed >= 20);
+	});
+
+	var env = new fl.Environment();
+	test.expect(3);
+	chain.call(null, env, function() {
+		fl.detect_stalls(0);
+		test.equals(reports.length, 1);
+		test.ok(reports[0].indexOf('stuck') >= 0);
+		test.done();
+	});
+}
+
 module.exports = exports;
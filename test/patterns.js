@@ -21,6 +21,33 @@ exports['map'] = function(test) {
 	chain.call(null, env, test.done, input);
 };
 
+exports['chain callbacks'] = function(test) {
+	var input = [1, 2, 3];
+	var chain = new fl.Chain(
+		fl.p.smap(new fl.Chain(function(env, after, v) {
+			after(v*2);
+		})),
+		fl.p.map(new fl.Chain(function(env, after, v, k) {
+			after(v+k);
+		})),
+		function(env, after, results) {
+			after(results, 0);
+		},
+		fl.p.reduce(new fl.Chain(function(env, after, memo, v) {
+			after(memo+v);
+		})),
+		function(env, after, total) {
+			test.equals(total, 15);
+			test.equals(env._fm.stack.length, 0);
+			after();
+		});
+
+	var env = new fl.Environment();
+	env.$set_strict(true);
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
 exports['smap'] = function(test) {
 	var input = [1, 2, 3];
 	var result = [1, 4, 9];
@@ -42,7 +69,7 @@ exports['smap'] = function(test) {
 exports['filter'] = function(test) {
 	var input = [1, 2, 3, 4];
 	var result = [2, 4];
-	var filt = function(env, after, v, k, list) {
+	var filt = function(env, after, v, k, i, list) {
 		after(v % 2 == 0);
 	};
 
@@ -60,7 +87,7 @@ exports['filter'] = function(test) {
 exports['sfilter'] = function(test) {
 	var input = [1, 2, 3, 4];
 	var result = [2, 4];
-	var filt = function(env, after, v, k, list) {
+	var filt = function(env, after, v, k, i, list) {
 		after(v % 2 == 0);
 	};
 
@@ -77,7 +104,7 @@ exports['sfilter'] = function(test) {
 
 exports['each'] = function(test) {
 	var input = [1, 2, 3, 4];
-	var each = function(env, after, v, k, list) {
+	var each = function(env, after, v, k, i, list) {
 		test.equals(v, input[k]);
 		after();
 	};
@@ -89,7 +116,7 @@ exports['each'] = function(test) {
 
 exports['seach'] = function(test) {
 	var input = [1, 2, 3, 4];
-	var each = function(env, after, v, k, list) {
+	var each = function(env, after, v, k, i, list) {
 		test.equals(v, input[k]);
 		after();
 	};
@@ -101,7 +128,7 @@ exports['seach'] = function(test) {
 
 exports['reduce'] = function(test) {
 	var input = [1, 2, 3, 4];
-	var r = function(env, after, memo, v, k, list) {
+	var r = function(env, after, memo, v, k, i, list) {
 		after(memo + v);
 	};
 
@@ -118,7 +145,7 @@ exports['reduce'] = function(test) {
 
 exports['reduceRight'] = function(test) {
 	var input = ['a', 'b', 'c', 'd'];
-	var r = function(env, after, memo, v, k, list) {
+	var r = function(env, after, memo, v, k, i, list) {
 		after(memo+v);
 	};
 
@@ -133,4 +160,473 @@ exports['reduceRight'] = function(test) {
 	chain.call(null, env, test.done, input, '');
 };
 
+exports['mapLimit'] = function(test) {
+	var input = [1, 2, 3, 4, 5];
+	var running = 0;
+	var sq = function(env, after, v, k, i, list) {
+		running += 1;
+		test.ok(running <= 2);
+		setTimeout(function() {
+			running -= 1;
+			after(v*v);
+		}, 6 - v);
+	};
+
+	var chain = new fl.Chain(fl.p.mapLimit(2, sq),
+		function(env, after, map_result) {
+			test.deepEqual(map_result, [1, 4, 9, 16, 25]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(6);
+	chain.call(null, env, test.done, input);
+};
+
+exports['filterLimit'] = function(test) {
+	var input = [1, 2, 3, 4];
+	var running = 0;
+	var filt = function(env, after, v, k, i, list) {
+		running += 1;
+		test.ok(running <= 3);
+		setImmediate(function() {
+			running -= 1;
+			after(v % 2 == 0);
+		});
+	};
+
+	var chain = new fl.Chain(fl.p.filterLimit(3, filt),
+		function(env, after, filter_result) {
+			test.deepEqual(filter_result.sort(), [2, 4]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(5);
+	chain.call(null, env, test.done, input);
+};
+
+exports['eachLimit'] = function(test) {
+	var input = [1, 2, 3, 4];
+	var running = 0;
+	var each = function(env, after, v, k, i, list) {
+		running += 1;
+		test.equals(running, 1);
+		setImmediate(function() {
+			running -= 1;
+			after();
+		});
+	};
+
+	var env = new fl.Environment();
+	test.expect(4);
+	fl.p.eachLimit(1, each)(env, test.done, input);
+};
+
+exports['batch'] = function(test) {
+	var input = {a : 1, b : 2, c : 3, d : 4, e : 5};
+	var sum = function(env, after, chunk, k, i, list) {
+		after(chunk.reduce(function(memo, v) { return memo + v; }, 0));
+	};
+
+	var chain = new fl.Chain(fl.p.batch(2, sum),
+		function(env, after, sums) {
+			test.deepEqual(sums, [3, 7, 5]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, input);
+};
+
+exports['batch size'] = function(test) {
+	var fn = function(env, after, chunk) {
+		after(chunk);
+	};
+
+	test.expect(4);
+	[0, -1, 1.5, '2'].forEach(function(size) {
+		test.throws(function() {
+			fl.p.batch(size, fn);
+		}, /positive integer/);
+	});
+	test.done();
+};
+
+exports['some'] = function(test) {
+	var input = [1, 2, 3, 4];
+	var big = function(env, after, v, k, i, list) {
+		setTimeout(function() {
+			after(v > 1);
+		}, v);
+	};
+
+	var chain = new fl.Chain(fl.p.some(big),
+		function(env, after, result) {
+			test.strictEqual(result, true);
+			after(input);
+		},
+		fl.p.some(function(env, after, v, k, i, list) {
+			after(v > 10);
+		}),
+		function(env, after, result) {
+			test.strictEqual(result, false);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['ssome'] = function(test) {
+	var input = [1, 2, 3, 4];
+	var calls = 0;
+	var big = function(env, after, v, k, i, list) {
+		calls += 1;
+		after(v > 1);
+	};
+
+	var chain = new fl.Chain(fl.p.ssome(big),
+		function(env, after, result) {
+			test.strictEqual(result, true);
+			test.equals(calls, 2);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['every'] = function(test) {
+	var input = [2, 4, 5, 6];
+	var even = function(env, after, v, k, i, list) {
+		setImmediate(function() {
+			after(v % 2 == 0);
+		});
+	};
+
+	var chain = new fl.Chain(fl.p.every(even),
+		function(env, after, result) {
+			test.strictEqual(result, false);
+			after([2, 4]);
+		},
+		fl.p.every(even),
+		function(env, after, result) {
+			test.strictEqual(result, true);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['severy'] = function(test) {
+	var input = [2, 3, 4, 6];
+	var seen = [];
+	var even = function(env, after, v, k, i, list) {
+		seen.push(v);
+		after(v % 2 == 0);
+	};
+
+	var chain = new fl.Chain(fl.p.severy(even),
+		function(env, after, result) {
+			test.strictEqual(result, false);
+			test.deepEqual(seen, [2, 3]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['find'] = function(test) {
+	var input = {a : 1, b : 20, c : 3};
+	var late = false;
+	var big = function(env, after, v, k, i, list) {
+		setTimeout(function() {
+			if (v == 1)
+				late = true;
+			after(v > 10);
+		}, v == 1 ? 30 : 1);
+	};
+
+	var chain = new fl.Chain(fl.p.find(big),
+		function(env, after, result) {
+			test.equals(result, 20);
+			test.ok(!late);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['sfind'] = function(test) {
+	var input = [1, 5, 10, 15];
+	var big = function(env, after, v, k, i, list) {
+		after(v > 2);
+	};
+
+	var chain = new fl.Chain(fl.p.sfind(big),
+		function(env, after, result) {
+			test.equals(result, 5);
+			after([1, 2]);
+		},
+		fl.p.sfind(big),
+		function(env, after, result) {
+			test.strictEqual(result, undefined);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['findIndex'] = function(test) {
+	var input = [1, 5, 10];
+	var ten = function(env, after, v, k, i, list) {
+		setImmediate(function() {
+			after(v == 10);
+		});
+	};
+
+	var chain = new fl.Chain(fl.p.findIndex(ten),
+		function(env, after, result) {
+			test.equals(result, 2);
+			after([1, 2]);
+		},
+		fl.p.findIndex(ten),
+		function(env, after, result) {
+			test.equals(result, -1);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['sfindIndex'] = function(test) {
+	var input = [1, 5, 10, 15];
+	var big = function(env, after, v, k, i, list) {
+		after(v > 2);
+	};
+
+	var chain = new fl.Chain(fl.p.sfindIndex(big),
+		function(env, after, result) {
+			test.equals(result, 1);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, input);
+};
+
+exports['search exception'] = function(test) {
+	var input = [1, 2, 3];
+	var fail = function(env, after, v, k, i, list) {
+		if (v == 2)
+			env.$throw(new Error('bad value'));
+		else
+			after(false);
+	};
+
+	var chain = new fl.Chain(fl.p.some(fail));
+	chain.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'bad value');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, input);
+};
+
+exports['groupBy'] = function(test) {
+	var input = [1, 2, 3, 4, 5];
+	var parity = function(env, after, v, k, i, list) {
+		setImmediate(function() {
+			after(v % 2 ? 'odd' : 'even');
+		});
+	};
+
+	var chain = new fl.Chain(fl.p.groupBy(parity),
+		function(env, after, result) {
+			test.deepEqual(result, {odd : [1, 3, 5], even : [2, 4]});
+			after(input);
+		},
+		fl.p.sgroupBy(parity),
+		function(env, after, result) {
+			test.deepEqual(result, {odd : [1, 3, 5], even : [2, 4]});
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['countBy'] = function(test) {
+	var input = ['apple', 'avocado', 'banana'];
+	var initial = function(env, after, v, k, i, list) {
+		after(v[0]);
+	};
+
+	var chain = new fl.Chain(fl.p.countBy(initial),
+		function(env, after, result) {
+			test.deepEqual(result, {a : 2, b : 1});
+			after(input);
+		},
+		fl.p.scountBy(initial),
+		function(env, after, result) {
+			test.deepEqual(result, {a : 2, b : 1});
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['groupBy reserved keys'] = function(test) {
+	var input = ['hasOwnProperty', '__proto__', 'hasOwnProperty'];
+	var same = function(env, after, v) {
+		after(v);
+	};
+
+	var chain = new fl.Chain(fl.p.groupBy(same),
+		function(env, after, result) {
+			test.equals(result['hasOwnProperty'].length, 2);
+			test.deepEqual(result['__proto__'], ['__proto__']);
+			after(input);
+		},
+		fl.p.scountBy(same),
+		function(env, after, result) {
+			test.equals(result['hasOwnProperty'], 2);
+			test.equals(result['__proto__'], 1);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(4);
+	chain.call(null, env, test.done, input);
+};
+
+exports['partition'] = function(test) {
+	var input = {a : 1, b : 2, c : 3, d : 4};
+	var even = function(env, after, v, k, i, list) {
+		after(v % 2 == 0);
+	};
+
+	var chain = new fl.Chain(fl.p.partition(even),
+		function(env, after, result) {
+			test.deepEqual(result, [[2, 4], [1, 3]]);
+			after([1, 2, 3]);
+		},
+		fl.p.spartition(even),
+		function(env, after, result) {
+			test.deepEqual(result, [[2], [1, 3]]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['flatMap'] = function(test) {
+	var input = [1, 2, 3];
+	var repeat = function(env, after, v, k, i, list) {
+		var result = [];
+		for (var j = 0; j < v; ++j)
+			result.push(v);
+		after(result);
+	};
+
+	var chain = new fl.Chain(fl.p.flatMap(repeat),
+		function(env, after, result) {
+			test.deepEqual(result, [1, 2, 2, 3, 3, 3]);
+			after(input);
+		},
+		fl.p.sflatMap(repeat),
+		function(env, after, result) {
+			test.deepEqual(result, [1, 2, 2, 3, 3, 3]);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, test.done, input);
+};
+
+exports['sortBy'] = function(test) {
+	var input = [{n : 'c', v : 2}, {n : 'a', v : 1}, {n : 'b', v : 2}, {n : 'd', v : 0}];
+	var calls = 0;
+	var weight = function(env, after, v, k, i, list) {
+		calls += 1;
+		setTimeout(function() {
+			after(v.v);
+		}, 4 - i);
+	};
+
+	var names = function(list) {
+		return list.map(function(v) { return v.n; });
+	};
+
+	var chain = new fl.Chain(fl.p.sortBy(weight),
+		function(env, after, result) {
+			test.deepEqual(names(result), ['d', 'a', 'c', 'b']);
+			after(input);
+		},
+		fl.p.ssortBy(weight),
+		function(env, after, result) {
+			test.deepEqual(names(result), ['d', 'a', 'c', 'b']);
+			test.equals(calls, 8);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(3);
+	chain.call(null, env, test.done, input);
+};
+
+exports['loop signals through smap'] = function(test) {
+	var seen = [];
+	var loop = new fl.LoopChain(
+		function(env, after) {
+			after(true, [1, 2, 3]);
+		},
+		fl.p.smap(function(env, after, v) {
+			seen.push([env.$iteration, v]);
+			if (v == 2 && env.$iteration == 0)
+				env.$continue();
+			else if (v == 2)
+				env.$break('done');
+			else
+				after(v);
+		}),
+		function(env, after, results) {
+			test.ok(false);
+			after();
+		});
+
+	var env = new fl.Environment();
+	test.expect(4);
+	loop.call(null, env, function(result) {
+		test.equals(result, 'done');
+		test.deepEqual(seen, [[0, 1], [0, 2], [1, 1], [1, 2]]);
+		test.equals(env._fm.loops.length, 0);
+		test.equals(env._fm.exception_stack.length, 0);
+		test.done();
+	});
+};
+
 module.exports = exports;
@@ -0,0 +1,224 @@
+var fl = require('../lib-cov/flux-link');
+
+exports = {};
+
+exports['profile'] = function(test) {
+	var inner = new fl.Chain(
+		function slow(env, after) {
+			setTimeout(after, 30);
+		});
+	inner.name = 'inner';
+
+	var chain = new fl.Chain(
+		function fast(env, after) {
+			after();
+		},
+		inner);
+	chain.name = 'outer';
+
+	var env = new fl.Environment();
+	test.expect(7);
+	chain.call(null, env, function() {
+		var profile = env.$get_profile();
+		var names = profile.map(function(call) { return call.name; });
+		var slow = profile[names.indexOf('slow')];
+		var nested = profile[names.indexOf('inner')];
+
+		test.equals(profile[0].name, 'outer');
+		test.equals(slow.chain, 'inner');
+		test.equals(nested.chain, 'outer');
+		test.ok(slow.total >= 25);
+		test.ok(nested.total >= slow.total);
+		test.ok(nested.self < 25);
+		test.ok(profile[0].total >= nested.total);
+		test.done();
+	});
+}
+
+exports['profiler'] = function(test) {
+	var profiler = new fl.Profiler();
+	var chain = new fl.Chain(
+		function slow(env, after) {
+			setTimeout(after, 20);
+		},
+		function fast(env, after) {
+			after();
+		});
+	chain.name = 'main';
+
+	var first = new fl.Environment();
+	var second = new fl.Environment();
+
+	test.expect(6);
+	chain.call(null, first, function() {
+		chain.call(null, second, function() {
+			profiler.add(first);
+			profiler.add(second);
+
+			var results = profiler.get_results();
+			var slow = results.filter(function(step) { return step.name == 'slow'; })[0];
+
+			test.equals(results[0].name, 'main');
+			test.equals(slow.chain, 'main');
+			test.equals(slow.count, 2);
+			test.ok(slow.mean >= 15);
+			test.ok(slow.max >= slow.mean);
+
+			profiler.reset();
+			test.equals(profiler.get_results().length, 0);
+			test.done();
+		});
+	});
+}
+
+exports['chrome trace'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function first(env, after) {
+			setTimeout(after, 10);
+		},
+		function second(env, after) {
+			after();
+		});
+	pc.name = 'threads';
+
+	var chain = new fl.Chain(
+		function start(env, after) {
+			after();
+		},
+		pc);
+	chain.name = 'main';
+
+	var env = new fl.Environment();
+	env.$set_thread_tracing(true);
+	test.expect(9);
+	chain.call(null, env, function() {
+		var trace = JSON.parse(env.$export_trace('chrome', {pid : 7}));
+		var events = trace.traceEvents;
+		var calls = {};
+
+		events.forEach(function(event) {
+			if (event.ph == 'X' && !calls[event.name])
+				calls[event.name] = event;
+		});
+
+		test.ok(events.every(function(event) { return event.pid == 7; }));
+		test.equals(calls['start'].tid, 0);
+		test.equals(calls['start'].args.chain, 'main');
+		test.equals(calls['first'].tid, 1);
+		test.equals(calls['second'].tid, 2);
+		test.ok(calls['first'].dur >= 5000);
+		test.ok(calls['threads'].ts <= calls['first'].ts);
+		test.ok(events.some(function(event) {
+			return event.ph == 'M' && event.tid == 2 && event.args.name == 'thread 1';
+		}));
+		test.throws(function() {
+			env.$export_trace('xml');
+		});
+		test.done();
+	});
+}
+
+exports['chrome trace nested threads'] = function(test) {
+	var inner = new fl.ParallelChain(
+		function inner_first(env, after) {
+			after();
+		},
+		function inner_second(env, after) {
+			after();
+		});
+	var pc = new fl.ParallelChain(inner,
+		function outer_second(env, after) {
+			after();
+		});
+
+	var traced = new fl.Environment();
+	var untraced = new fl.Environment();
+	traced.$set_thread_tracing(true);
+	test.expect(4);
+	pc.call(null, traced, function() {
+		var events = JSON.parse(traced.$export_trace('chrome')).traceEvents;
+		var names = {};
+
+		events.forEach(function(event) {
+			if (event.ph == 'M')
+				names[event.tid] = event.args.name;
+		});
+
+		test.equals(Object.keys(names).length, 5);
+		test.ok(events.some(function(event) {
+			return event.ph == 'M' && event.args.name == 'thread 0.1';
+		}));
+
+		pc.call(null, untraced, function() {
+			test.equals(untraced._fm.threads.length, 0);
+			test.equals(JSON.parse(untraced.$export_trace('chrome')).traceEvents.filter(function(event) {
+				return event.ph == 'M';
+			}).length, 1);
+			test.done();
+		});
+	});
+}
+
+exports['trace tree'] = function(test) {
+	var pc = new fl.ParallelChain(
+		function first(env, after) {
+			after();
+		},
+		function second(env, after) {
+			after();
+		});
+	pc.name = 'threads';
+
+	var chain = new fl.Chain(
+		pc,
+		function fails(env, after) {
+			throw new Error('failed');
+		});
+	chain.name = 'main';
+	chain.set_exception_handler(function handler(env, err) {
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	env.$set_thread_tracing(true);
+	test.expect(11);
+	chain.call(null, env, function() {
+		var tree = env.$get_trace_tree();
+		var main = tree.children[0];
+		var threads = main.children[0];
+		var kinds = main.children.map(function(node) { return node.kind; });
+		var thread = threads.children.filter(function(node) { return node.kind == 'thread'; })[1];
+
+		test.equals(tree.kind, 'root');
+		test.equals(main.name, 'main');
+		test.equals(main.type, 'Chain');
+		test.equals(threads.type, 'ParallelChain');
+		test.deepEqual(kinds, ['step', 'step', 'throw', 'handler']);
+		test.equals(thread.thread, 1);
+		test.equals(thread.children[0].children[0].name, 'second');
+		test.equals(thread.children[0].children[0].thread, 1);
+		test.ok(main.end !== null && main.end >= main.start);
+		test.deepEqual(JSON.parse(JSON.stringify(tree)), tree);
+		test.ok(env.$format_call_tree(tree).indexOf('\n    thread 1\n      threads\n        second') >= 0);
+		test.done();
+	});
+}
+
+exports['trace tree formatting'] = function(test) {
+	var chain = new fl.Chain(
+		function first(env, after) {
+			after();
+		});
+	chain.name = 'main';
+
+	var env = new fl.Environment();
+	test.expect(2);
+	chain.call(null, env, function() {
+		var lines = env.$format_trace_tree(env.$get_trace_tree()).split('\n');
+		test.ok(/^main \(chain, Chain\) \d+\.\d{3} ms$/.test(lines[1]));
+		test.ok(/^  first \(step\) \d+\.\d{3} ms$/.test(lines[2]));
+		test.done();
+	});
+}
+
+module.exports = exports;
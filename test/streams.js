@@ -0,0 +1,201 @@
+var fl = require('../lib-cov/flux-link');
+var stream = require('stream');
+
+exports = {};
+
+/**
+ * Writes every value to a transform stream and collects whatever comes out the other end
+ */
+function run_transform(transform, values, cb) {
+	var output = [];
+	stream.pipeline(stream.Readable.from(values), transform, new stream.Writable({
+		objectMode : true,
+		write : function(chunk, encoding, callback) {
+			output.push(chunk);
+			callback();
+		}
+	}), function(err) {
+		cb(err, output);
+	});
+}
+
+exports['transform'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after, value) {
+			env.seen.push(value);
+			after(value * 2);
+		});
+
+	var env = new fl.Environment({seen : []});
+	var transform = fl.toTransform(chain, {env : env});
+
+	test.expect(3);
+	run_transform(transform, [1, 2, 3], function(err, output) {
+		test.ifError(err);
+		test.deepEqual(output, [2, 4, 6]);
+		test.deepEqual(env.seen, [1, 2, 3]);
+		test.done();
+	});
+};
+
+exports['transform outputs'] = function(test) {
+	// Odd values are dropped, even values are pushed twice
+	var transform = fl.toTransform(function(env, after, value) {
+		if (value % 2)
+			after();
+		else
+			after(value, value);
+	});
+
+	test.expect(1);
+	run_transform(transform, [1, 2, 3, 4], function(err, output) {
+		test.deepEqual(output, [2, 2, 4, 4]);
+		test.done();
+	});
+};
+
+exports['transform concurrency'] = function(test) {
+	var running = 0;
+	var max_running = 0;
+	var transform = fl.toTransform(function(env, after, value) {
+		running += 1;
+		max_running = Math.max(running, max_running);
+		setTimeout(function() {
+			running -= 1;
+			after(value);
+		}, 10 - value);
+	}, {concurrency : 3});
+
+	test.expect(2);
+	run_transform(transform, [1, 2, 3, 4, 5, 6, 7, 8], function(err, output) {
+		test.deepEqual(output, [1, 2, 3, 4, 5, 6, 7, 8]);
+		test.equals(max_running, 3);
+		test.done();
+	});
+};
+
+exports['transform separate environments'] = function(test) {
+	var transform = fl.toTransform(function(env, after, value) {
+		env.value = value;
+		setImmediate(function() {
+			after(env.value + env.offset);
+		});
+	}, {concurrency : 2, env : new fl.Environment({offset : 10})});
+
+	test.expect(1);
+	run_transform(transform, [1, 2, 3], function(err, output) {
+		test.deepEqual(output, [11, 12, 13]);
+		test.done();
+	});
+};
+
+exports['transform error'] = function(test) {
+	var transform = fl.toTransform(function(env, after, value) {
+		if (value == 2)
+			env.$throw(new Error('bad chunk'));
+		else
+			after(value);
+	});
+
+	test.expect(1);
+	run_transform(transform, [1, 2, 3], function(err, output) {
+		test.equals(err.message, 'bad chunk');
+		test.done();
+	});
+};
+
+exports['pipeline'] = function(test) {
+	var chain = new fl.Chain(
+		function(env, after) {
+			after([1, 2, 3, 4]);
+		},
+		fl.p.pipeline([
+			function double(env, after, value) {
+				after(value * 2);
+			},
+			function add(env, after, value) {
+				after(value + env.offset);
+			}
+		], {concurrency : 2}),
+		function(env, after, results) {
+			test.deepEqual(results, [12, 14, 16, 18]);
+			after();
+		});
+
+	var env = new fl.Environment({offset : 10});
+	test.expect(1);
+	chain.call(null, env, test.done);
+};
+
+exports['pipeline destination'] = function(test) {
+	var written = [];
+	var pipeline = fl.p.pipeline([
+		function(env, after, value) {
+			after(value.toUpperCase());
+		}
+	], {
+		destination : function() {
+			return new stream.Writable({
+				objectMode : true,
+				write : function(chunk, encoding, callback) {
+					written.push(chunk);
+					callback();
+				}
+			});
+		}
+	});
+
+	var env = new fl.Environment();
+	test.expect(2);
+	pipeline(env, function(result) {
+		test.strictEqual(result, undefined);
+		test.deepEqual(written, ['A', 'B']);
+		test.done();
+	}, stream.Readable.from(['a', 'b']));
+};
+
+exports['pipeline error'] = function(test) {
+	var chain = new fl.Chain(fl.p.pipeline([
+		function(env, after, value) {
+			env.$throw(new Error('stage failed'));
+		}
+	]));
+	chain.set_exception_handler(function(env, err) {
+		test.equals(err.message, 'stage failed');
+		env.$catch();
+	});
+
+	var env = new fl.Environment();
+	test.expect(1);
+	chain.call(null, env, test.done, [1, 2]);
+};
+
+exports['pipeline cancelled'] = function(test) {
+	var seen = [];
+	var signals = [];
+	var chain = new fl.Chain(fl.p.pipeline([
+		new fl.Chain(
+			function(env, after, value) {
+				signals.push(env.$signal);
+				if (value == 2)
+					base.$cancel();
+				after(value);
+			},
+			function(env, after, value) {
+				seen.push(value);
+				after(value);
+			})
+	]));
+	chain.set_exception_handler(function(env, err) {
+		test.ok(err instanceof fl.CancelledError);
+		test.deepEqual(seen, [1]);
+		test.ok(signals[1].aborted);
+		env.$catch();
+	});
+
+	var base = new fl.Environment();
+	test.expect(3);
+	chain.call(null, base, test.done, [1, 2, 3]);
+};
+
+module.exports = exports;
@@ -0,0 +1,158 @@
+var fl = require('../lib-cov/flux-link');
+
+exports = {};
+
+exports['valid chain'] = function(test) {
+	var chain = new fl.Chain(
+		fl.mkfn(function load(env, after) {
+			after(1, 2);
+		}, {results : 2}),
+		function add(env, after, a, b) {
+			after(a+b);
+		});
+
+	test.expect(1);
+	test.deepEqual(chain.validate(), []);
+	test.done();
+}
+
+exports['missing arguments'] = function(test) {
+	var chain = new fl.Chain(
+		fl.mkfn(function load(env, after) {
+			after(1);
+		}, {results : 1}),
+		function add(env, after, a, b) {
+			after(a+b);
+		});
+	chain.name = 'main';
+
+	test.expect(1);
+	test.deepEqual(fl.validate(chain), [{
+		path : 'main > add',
+		message : 'add needs 2 argument(s), but only 1 are available'
+	}]);
+	test.done();
+}
+
+exports['initial arguments'] = function(test) {
+	var chain = new fl.Chain(
+		function add(env, after, a, b) {
+			after(a+b);
+		});
+
+	test.expect(2);
+	test.equals(chain.validate(1).length, 1);
+	test.equals(chain.validate(2).length, 0);
+	test.done();
+}
+
+exports['extra arguments on the stack'] = function(test) {
+	// The extra result from load is pushed to the stack, where the last step finds it
+	var chain = new fl.Chain(
+		fl.mkfn(function load(env, after) {
+			after(1, 2);
+		}, {results : 2}),
+		fl.mkfn(function show(env, after, a) {
+			after();
+		}, {params : 1, results : 0}),
+		function last(env, after, b) {
+			after();
+		});
+
+	test.expect(1);
+	test.deepEqual(chain.validate(), []);
+	test.done();
+}
+
+exports['settled parallel results'] = function(test) {
+	var pc = new fl.ParallelChain(fl.mkfn(function work(env, after) {
+		after();
+	}, {results : 0}));
+	pc.set_failure_mode('settled');
+
+	var chain = new fl.Chain(pc,
+		function next(env, after, settled) {
+			after();
+		});
+
+	test.expect(1);
+	test.deepEqual(chain.validate(), []);
+	test.done();
+}
+
+exports['unknown results'] = function(test) {
+	var chain = new fl.Chain(
+		function load(env, after) {
+			after(1, 2);
+		},
+		function add(env, after, a, b) {
+			after(a+b);
+		});
+
+	test.expect(1);
+	test.deepEqual(chain.validate(), []);
+	test.done();
+}
+
+exports['nested paths'] = function(test) {
+	var inner = new fl.Chain(
+		fl.mkfn(function(env, after, a) {
+			after();
+		}, {params : 1, results : 0}),
+		fl.mkfn(function needs_one(env, after, a) {
+			after();
+		}, {params : 1, results : 0}));
+	inner.name = 'inner';
+
+	var branch = new fl.Branch(
+		fl.mkfn(function check(env, after) {
+			after(true, 1);
+		}, {results : 2}),
+		inner,
+		fl.mkfn(function(env, after, a) {
+			after();
+		}, {params : 1, results : 0}));
+	branch.name = 'branch';
+
+	var pc = new fl.ParallelChain(
+		fl.mkfn(function(env, after) {
+			after();
+		}, {results : 0}),
+		function thread_needs_one(env, after, a) {
+			after();
+		});
+	pc.name = 'parallel';
+
+	var chain = new fl.Chain(branch, pc);
+	chain.name = 'main';
+
+	test.expect(1);
+	test.deepEqual(chain.validate().map(function(problem) { return problem.path; }), [
+		'main > branch > inner > needs_one',
+		'main > parallel > thread_needs_one'
+	]);
+	test.done();
+}
+
+exports['loop condition'] = function(test) {
+	var loop = new fl.LoopChain(
+		fl.mkfn(function cond(env, after, value) {
+			after(value < 10, value);
+		}, {params : 1, results : 2}),
+		fl.mkfn(function body(env, after, value) {
+			after();
+		}, {params : 1, results : 0}));
+	loop.name = 'loop';
+
+	test.expect(2);
+	test.deepEqual(loop.validate(1), [{
+		path : 'loop > cond',
+		message : 'cond needs 1 argument(s), but only 0 are available'
+	}]);
+
+	loop.fns[0].results = 1;
+	test.deepEqual(loop.validate(1), []);
+	test.done();
+}
+
+module.exports = exports;